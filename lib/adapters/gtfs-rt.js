@@ -0,0 +1,246 @@
+const fs = require('fs');
+const fetch = require('node-fetch');
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const { createCache } = require('../cache');
+const { createClock } = require('../clock');
+const { loadStatic } = require('../gtfs-static');
+const {
+    classify_effect,
+    pick_translation,
+    is_active,
+    make_arrival,
+    get_direction
+} = require('../transit');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+// Decode a GTFS-Realtime protobuf into a plain object with enum names as
+// strings and 64-bit timestamps as numbers
+function decodeFeed(buffer) {
+    const message = FeedMessage.decode(new Uint8Array(buffer));
+    return FeedMessage.toObject(message, { enums: String, longs: Number, defaults: false });
+}
+
+// Read a feed from an http(s) URL or a local .pb file
+async function readFeed(source, headers = {}) {
+    if (/^https?:\/\//i.test(source)) {
+        const resp = await fetch(source, { headers, timeout: 10000 });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status} from ${source}`);
+        return resp.buffer();
+    }
+    return fs.promises.readFile(source);
+}
+
+// Arrivals and alerts straight from GTFS-Realtime TripUpdates and Alerts,
+// joined with static GTFS for stop names, routes and transfers.
+//   feeds       URLs or files holding TripUpdates (and possibly Alerts)
+//   alertFeeds  extra URLs or files holding only Alerts
+//   staticDir   unzipped static GTFS; stations.csv is used without one
+//   headers     request headers for the feed URLs, e.g. an API key
+//   cacheMs     how long each decoded feed is reused across boards
+//   clock       the time trains are counted down on (lib/clock.js); real
+//               time without one
+function createGtfsRtAdapter(options = {}) {
+    const now = (options.clock || createClock()).now;
+    const feeds = options.feeds || [];
+    const alertFeeds = options.alertFeeds || [];
+    const headers = options.headers || {};
+    const cacheMs = options.cacheMs || 15000;
+
+    let staticPromise = null;
+    // realtime feeds are no use stale; the board keeps its own last good data
+    const cache = createCache({ maxStaleMs: 0 });
+
+    function getStatic() {
+        if (!staticPromise) {
+            staticPromise = loadStatic(options.staticDir).catch(err => {
+                staticPromise = null;
+                throw err;
+            });
+        }
+        return staticPromise;
+    }
+
+    // Decoded entities from every feed in `sources`. A feed that fails is
+    // skipped so the others still show; if they all fail the error is thrown.
+    async function getEntities(sources) {
+        const results = await Promise.allSettled(sources.map(source =>
+            cache.get(source, cacheMs, async () => decodeFeed(await readFeed(source, headers)).entity || [])
+        ));
+        const loaded = results.filter(r => r.status === 'fulfilled');
+        if (sources.length > 0 && loaded.length === 0) throw results[0].reason;
+        return [].concat(...loaded.map(r => r.value));
+    }
+
+    function stopName(gtfs, stop_id) {
+        const stop = gtfs.stops.get(stop_id);
+        if (stop) return stop.name;
+        // NYC platform ids are the station id plus N or S
+        const parent = gtfs.stops.get(String(stop_id).replace(/[NS]$/i, ''));
+        return parent ? parent.name : stop_id;
+    }
+
+    function atStation(gtfs, stop_id, station) {
+        if (stop_id === station) return true;
+        const stop = gtfs.stops.get(stop_id);
+        if (stop) return stop.parent_id === station && stop.id !== station;
+        return String(stop_id).replace(/[NS]$/i, '') === station;
+    }
+
+    // Departures for one stop. Errors are thrown so the board can keep its
+    // last good data rather than going blank.
+    async function get_stop_times(station) {
+        const [gtfs, entities] = await Promise.all([getStatic(), getEntities(feeds)]);
+        const result = [];
+        const nowSeconds = now() / 1000;
+        const current_stop = stopName(gtfs, station);
+
+        for (const entity of entities) {
+            const update = entity.tripUpdate;
+            if (!update || !update.stopTimeUpdate) continue;
+            const trip = update.trip || {};
+            const staticTrip = gtfs.trips.get(trip.tripId) || {};
+            const stopTimes = update.stopTimeUpdate;
+            const last = stopTimes[stopTimes.length - 1];
+            const route_id = trip.routeId || staticTrip.route_id || '';
+            const last_stop_name = staticTrip.headsign || stopName(gtfs, last.stopId);
+
+            stopTimes.forEach((stu, i) => {
+                if (stu.scheduleRelationship === 'SKIPPED' || !atStation(gtfs, stu.stopId, station)) return;
+                // trains terminating here have no departure
+                const time = (stu.departure && stu.departure.time) ||
+                    (i < stopTimes.length - 1 && stu.arrival && stu.arrival.time);
+                if (!time) return;
+                const delay = (stu.departure && stu.departure.delay) || (stu.arrival && stu.arrival.delay);
+                const arrival = make_arrival({
+                    route_id,
+                    current_stop,
+                    last_stop_name,
+                    stop_id: stu.stopId,
+                    trip_id: trip.tripId || null,
+                    delay: typeof delay === 'number' ? delay : null
+                }, Number(time), nowSeconds);
+                if (arrival) result.push(arrival);
+            });
+        }
+        return result;
+    }
+
+    // The stops a trip in the TripUpdates has still to make, or null if it
+    // isn't in them. The route isn't needed to find it.
+    async function fetchTrip(trip_id) {
+        const [gtfs, entities] = await Promise.all([getStatic(), getEntities(feeds)]);
+        const entity = entities.find(e => e.tripUpdate && e.tripUpdate.trip && e.tripUpdate.trip.tripId === trip_id);
+        if (!entity) return null;
+        const update = entity.tripUpdate;
+        const staticTrip = gtfs.trips.get(trip_id) || {};
+        const stopTimes = update.stopTimeUpdate || [];
+        const last = stopTimes[stopTimes.length - 1];
+        const nowSeconds = now() / 1000;
+        const time = t => (t && t.time ? Number(t.time) : null);
+        const stops = stopTimes
+            .filter(stu => stu.scheduleRelationship !== 'SKIPPED')
+            .filter(stu => (time(stu.arrival) || time(stu.departure)) >= nowSeconds)
+            .map(stu => ({
+                id: stu.stopId,
+                name: stopName(gtfs, stu.stopId),
+                arrival: time(stu.arrival),
+                departure: time(stu.departure),
+                track: null
+            }));
+        return {
+            id: trip_id,
+            route: update.trip.routeId || staticTrip.route_id || '',
+            destination: staticTrip.headsign || (last ? stopName(gtfs, last.stopId) : ''),
+            direction: get_direction(last ? last.stopId : ''),
+            stops
+        };
+    }
+
+    async function get_transfer_stations(station) {
+        try {
+            const gtfs = await getStatic();
+            return [...(gtfs.transfers.get(station) || [])];
+        } catch (err) {
+            console.error('get_transfer_stations error', err && err.message);
+            return [];
+        }
+    }
+
+    async function fetchAlerts() {
+        try {
+            const entities = await getEntities(feeds.concat(alertFeeds));
+            const nowSeconds = now() / 1000;
+            return entities.filter(e => e.alert).map(entity => {
+                const alert = entity.alert;
+                const routes = new Set();
+                const stops = new Set();
+                for (const informed of (alert.informedEntity || [])) {
+                    const route_id = informed.routeId || (informed.trip && informed.trip.routeId);
+                    if (route_id) routes.add(route_id);
+                    if (informed.stopId) stops.add(informed.stopId);
+                }
+                const active_periods = (alert.activePeriod || []).map(p => ({
+                    start: p.start || null,
+                    end: p.end || null
+                }));
+                const classified = classify_effect(alert.effect);
+                return {
+                    id: entity.id,
+                    routes: [...routes],
+                    stops: [...stops],
+                    cause: alert.cause || 'UNKNOWN_CAUSE',
+                    effect: alert.effect || 'UNKNOWN_EFFECT',
+                    status: classified.status,
+                    severity: classified.severity,
+                    header: pick_translation(alert.headerText),
+                    description: pick_translation(alert.descriptionText),
+                    active_periods,
+                    active: is_active(active_periods, nowSeconds)
+                };
+            }).sort((a, b) => b.severity - a.severity);
+        } catch (err) {
+            console.error('get_alerts error', err && err.message);
+            return [];
+        }
+    }
+
+    // Departures for a station and every station it has transfers to
+    async function fetchArrivals(station) {
+        const transfer_stations = await get_transfer_stations(station);
+        const results = await Promise.all([station].concat(transfer_stations).map(get_stop_times));
+        return [].concat(...results);
+    }
+
+    async function listStations() {
+        const gtfs = await getStatic();
+        return [...gtfs.stops.values()];
+    }
+
+    // Routes and directions at each stop in the current TripUpdates, keyed
+    // by the stop in the static data (the station for NYC platform ids)
+    async function listStationRoutes() {
+        const [gtfs, entities] = await Promise.all([getStatic(), getEntities(feeds)]);
+        const service = {};
+        for (const entity of entities) {
+            const update = entity.tripUpdate;
+            if (!update || !update.stopTimeUpdate) continue;
+            const trip = update.trip || {};
+            const route_id = trip.routeId || (gtfs.trips.get(trip.tripId) || {}).route_id;
+            if (!route_id) continue;
+            for (const stu of update.stopTimeUpdate) {
+                const stop_id = gtfs.stops.has(stu.stopId) ? stu.stopId : String(stu.stopId).replace(/[NS]$/i, '');
+                if (!service[stop_id]) service[stop_id] = { routes: [], directions: [] };
+                const served = service[stop_id];
+                const direction = get_direction(stu.stopId);
+                if (!served.routes.includes(route_id)) served.routes.push(route_id);
+                if (direction && !served.directions.includes(direction)) served.directions.push(direction);
+            }
+        }
+        return service;
+    }
+
+    return { name: 'gtfs-rt', fetchArrivals, fetchAlerts, listStations, listStationRoutes, fetchTrip };
+}
+
+module.exports = { decodeFeed, readFeed, createGtfsRtAdapter };
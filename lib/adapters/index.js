@@ -0,0 +1,48 @@
+const { createTransiterAdapter } = require('./transiter');
+const { createGtfsRtAdapter } = require('./gtfs-rt');
+const { createReplayAdapter } = require('./replay');
+const { createSyntheticAdapter } = require('./synthetic');
+
+// Server-side data adapters. An adapter is created from an options object
+// and provides:
+//   fetchArrivals(station)  departures for a station (and any stations it
+//                           has transfers to) as arrival records from
+//                           make_arrival() in lib/transit.js, with their
+//                           trip ids, delays and tracks where known
+//   fetchAlerts()           service alerts: { id, routes, stops, cause,
+//                           effect, status, severity, header, description,
+//                           active_periods, active }
+//   listStations()          stations a board can show: { id, name, lat,
+//                           lon, parent_id }
+//   listStationRoutes()     optional: what serves each stop, as { stop_id:
+//                           { routes, directions } }, for the station picker
+//   fetchTrip(trip_id, route_id)
+//                           optional: the stops a train has still to make,
+//                           as { id, route, destination, direction, stops:
+//                           [{ id, name, arrival, departure, track }] }
+//                           (epoch seconds), or null for an unknown trip
+//   startTime               optional: epoch ms the clock (lib/clock.js)
+//                           should start at, for a replay
+// Its options include the app's `clock`, which it tells the time by.
+// The express routes only talk to the adapter, so buses, commuter rail or a
+// mock source can be added with registerAdapter() without touching them.
+const adapters = {
+    transiter: createTransiterAdapter,
+    'gtfs-rt': createGtfsRtAdapter,
+    replay: createReplayAdapter,
+    synthetic: createSyntheticAdapter
+};
+
+function registerAdapter(name, factory) {
+    adapters[name] = factory;
+}
+
+function createAdapter(name, options) {
+    const factory = adapters[name];
+    if (!factory) {
+        throw new Error(`Unknown data adapter "${name}" (available: ${Object.keys(adapters).join(', ')})`);
+    }
+    return factory(options || {});
+}
+
+module.exports = { registerAdapter, createAdapter };
@@ -0,0 +1,59 @@
+const fs = require('fs');
+
+// Raw upstream responses saved to a JSONL file, one
+//   { t, endpoint, body }
+// per line with t in epoch ms, so a session can be replayed without the
+// upstream (see the replay adapter).
+
+// A function that appends a response to `file`, timed by `now` (epoch ms)
+function createRecorder(file, now = Date.now) {
+    return (endpoint, body) => {
+        try {
+            fs.appendFileSync(file, JSON.stringify({ t: now(), endpoint, body }) + '\n');
+        } catch (err) {
+            console.error('Error recording response', endpoint, err && err.message);
+        }
+    };
+}
+
+// The responses in a recording: `at(endpoint, t)` gives the last one
+// recorded for `endpoint` at or before t (the first one before the
+// recording starts), and start and end are the first and last times
+function loadRecording(file) {
+    const byEndpoint = new Map();
+    let start = Infinity;
+    let end = -Infinity;
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            continue; // a line cut short while recording
+        }
+        if (!byEndpoint.has(record.endpoint)) byEndpoint.set(record.endpoint, []);
+        byEndpoint.get(record.endpoint).push(record);
+        start = Math.min(start, record.t);
+        end = Math.max(end, record.t);
+    }
+    if (byEndpoint.size === 0) throw new Error(`Nothing recorded in ${file}`);
+    byEndpoint.forEach(list => list.sort((a, b) => a.t - b.t));
+
+    function at(endpoint, t) {
+        const list = byEndpoint.get(endpoint);
+        if (!list) return undefined;
+        // binary search for the last response at or before t
+        let lo = 0;
+        let hi = list.length - 1;
+        while (lo < hi) {
+            const mid = Math.ceil((lo + hi) / 2);
+            if (list[mid].t <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        return list[lo].body;
+    }
+
+    return { start, end, at };
+}
+
+module.exports = { createRecorder, loadRecording };
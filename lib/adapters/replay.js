@@ -0,0 +1,28 @@
+const { createTransiterAdapter } = require('./transiter');
+const { loadRecording } = require('./recording');
+const { createClock } = require('../clock');
+
+// Transiter responses saved with SOLARI_RECORD, played back on the clock
+// (lib/clock.js), which starts where the recording does unless told
+// otherwise. Each request gets the last response recorded for it by then;
+// an endpoint never recorded fails like a 404 would.
+//   file   the recording
+//   clock  the time it is played back on
+function createReplayAdapter(options = {}) {
+    if (!options.file) throw new Error('The replay adapter needs a recording (SOLARI_REPLAY)');
+    const recording = loadRecording(options.file);
+    const clock = options.clock || createClock();
+    const adapter = createTransiterAdapter({
+        clock,
+        fetchJson: async endpoint => {
+            const body = recording.at(endpoint, clock.now());
+            if (body === undefined) throw new Error(`HTTP 404 from ${endpoint} (not in the recording)`);
+            return body;
+        },
+        // reading the recording is cheap, and the clock may be running fast
+        ttl: { stops: 0, routes: 0, alerts: 0, transfers: 0 }
+    });
+    return Object.assign(adapter, { name: 'replay', startTime: recording.start });
+}
+
+module.exports = { createReplayAdapter };
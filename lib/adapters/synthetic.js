@@ -0,0 +1,177 @@
+const { loadStatic } = require('../gtfs-static');
+const { make_arrival, classify_effect } = require('../transit');
+const { createClock } = require('../clock');
+
+// Made-up but plausible arrivals for any stop in stations.csv, for working
+// on the board and demoing it without a feed. The routes at a stop come
+// from the first letter of its id (the NYC lines are numbered that way),
+// trains run every few minutes at rush hour and less often at night on the
+// clock (lib/clock.js), and about one in five runs a few minutes late. The
+// same time always gives the same trains, so trip ids, history and
+// departures behave as they would with real data.
+
+// Routes at a stop from the first character of its id
+const PREFIX_ROUTES = {
+    1: ['1', '2', '3'], 2: ['2', '5'], 3: ['3'], 4: ['4', '5'], 5: ['5'], 6: ['4', '5', '6'], 7: ['7'], 9: ['GS'],
+    A: ['A', 'C', 'E'], B: ['D', 'F'], D: ['B', 'D', 'Q'], E: ['E'], F: ['E', 'F'], G: ['G', 'R'], H: ['A'],
+    J: ['J', 'Z'], L: ['L'], M: ['M'], N: ['N', 'W'], Q: ['Q'], R: ['N', 'Q', 'R', 'W'], S: ['SI']
+};
+
+// Northbound and southbound terminals
+const TERMINALS = {
+    1: ['Van Cortlandt Park-242 St', 'South Ferry'],
+    2: ['Wakefield-241 St', 'Flatbush Av-Brooklyn College'],
+    3: ['Harlem-148 St', 'New Lots Av'],
+    4: ['Woodlawn', 'Crown Hts-Utica Av'],
+    5: ['Eastchester-Dyre Av', 'Flatbush Av-Brooklyn College'],
+    6: ['Pelham Bay Park', 'Brooklyn Bridge-City Hall'],
+    7: ['Flushing-Main St', '34 St-Hudson Yards'],
+    A: ['Inwood-207 St', 'Far Rockaway-Mott Av'],
+    B: ['Bedford Park Blvd', 'Brighton Beach'],
+    C: ['168 St', 'Euclid Av'],
+    D: ['Norwood-205 St', 'Coney Island-Stillwell Av'],
+    E: ['Jamaica Center-Parsons/Archer', 'World Trade Center'],
+    F: ['Jamaica-179 St', 'Coney Island-Stillwell Av'],
+    G: ['Court Sq', 'Church Av'],
+    J: ['Jamaica Center-Parsons/Archer', 'Broad St'],
+    L: ['8 Av', 'Canarsie-Rockaway Pkwy'],
+    M: ['Forest Hills-71 Av', 'Middle Village-Metropolitan Av'],
+    N: ['Astoria-Ditmars Blvd', 'Coney Island-Stillwell Av'],
+    Q: ['96 St', 'Coney Island-Stillwell Av'],
+    R: ['Forest Hills-71 Av', 'Bay Ridge-95 St'],
+    W: ['Astoria-Ditmars Blvd', 'Whitehall St-South Ferry'],
+    Z: ['Jamaica Center-Parsons/Archer', 'Broad St'],
+    GS: ['Grand Central-42 St', 'Times Sq-42 St'],
+    SI: ['St George', 'Tottenville']
+};
+
+const DIRECTIONS = ['N', 'S'];
+// How far ahead arrivals are made up, in seconds
+const LOOKAHEAD = 30 * 60;
+
+// A number in [0, 1) from a string, the same every time
+function hash(text) {
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return (h >>> 0) / 4294967296;
+}
+
+function routesAt(stop_id) {
+    return PREFIX_ROUTES[String(stop_id).charAt(0).toUpperCase()] || [];
+}
+
+// Minutes between trains of a route in the hour starting at epoch seconds
+// `hourStart`: rush hours, daytime, evening and overnight
+function headway(route, hourStart) {
+    const hour = new Date(hourStart * 1000).getHours();
+    const base = hour >= 7 && hour < 10 || hour >= 16 && hour < 19 ? 4
+        : hour >= 6 && hour < 21 ? 8
+            : hour >= 1 && hour < 6 ? 20 : 12;
+    return base + Math.floor(hash(route + hour) * 3);
+}
+
+// Scheduled departures (epoch seconds) of a route from a platform between
+// `from` and `to`, an hour at a time so the pattern never shifts
+function departures(route, platform, from, to) {
+    const times = [];
+    for (let hourStart = Math.floor(from / 3600) * 3600; hourStart < to; hourStart += 3600) {
+        const every = headway(route, hourStart) * 60;
+        const offset = Math.floor(hash(route + platform) * every);
+        for (let t = hourStart + offset; t < hourStart + 3600; t += every) {
+            if (t >= from && t < to) times.push(t);
+        }
+    }
+    return times;
+}
+
+// `clock` (options) is the time the trains run on, real time without one
+function createSyntheticAdapter(options = {}) {
+    const now = (options.clock || createClock()).now;
+    let staticPromise = null;
+
+    function getStatic() {
+        if (!staticPromise) {
+            staticPromise = loadStatic().catch(err => {
+                staticPromise = null;
+                throw err;
+            });
+        }
+        return staticPromise;
+    }
+
+    async function fetchArrivals(station) {
+        const gtfs = await getStatic();
+        // the station and, for a complex, the stops in it
+        const stops = [...gtfs.stops.values()].filter(s => s.id === station || s.parent_id === station);
+        const current_stop = (gtfs.stops.get(station) || stops[0] || {}).name || station;
+        const nowSeconds = now() / 1000;
+        const result = [];
+        for (const stop of stops) {
+            for (const route of routesAt(stop.id)) {
+                DIRECTIONS.forEach((direction, i) => {
+                    const platform = stop.id + direction;
+                    // a late train leaves up to 5 minutes after its slot
+                    for (const scheduled of departures(route, platform, nowSeconds - 300, nowSeconds + LOOKAHEAD)) {
+                        const trip_id = `${route}-${platform}-${scheduled}`;
+                        const chance = hash(trip_id);
+                        const delay = chance < 0.2 ? 60 + Math.floor(chance * 25) * 60 : 0;
+                        const arrival = make_arrival({
+                            route_id: route,
+                            current_stop,
+                            last_stop_name: (TERMINALS[route] || [])[i] || '',
+                            stop_id: platform,
+                            trip_id,
+                            delay,
+                            track: null
+                        }, scheduled + delay, nowSeconds);
+                        if (arrival) result.push(arrival);
+                    }
+                });
+            }
+        }
+        return result;
+    }
+
+    // A day's planned work on one route, so the alert row has something to
+    // show
+    async function fetchAlerts() {
+        const day = new Date(now()).toISOString().slice(0, 10);
+        const routes = Object.keys(TERMINALS);
+        const route = routes[Math.floor(hash(day) * routes.length)];
+        const classified = classify_effect('MODIFIED_SERVICE');
+        return [{
+            id: `synthetic-${route}-${day}`,
+            routes: [route],
+            stops: [],
+            cause: 'MAINTENANCE',
+            effect: 'MODIFIED_SERVICE',
+            status: classified.status,
+            severity: classified.severity,
+            header: `${route} trains run local in both directions`,
+            description: 'Planned work (synthetic data for testing)',
+            active_periods: [],
+            active: true
+        }];
+    }
+
+    async function listStations() {
+        const { stops } = await getStatic();
+        return [...stops.values()];
+    }
+
+    async function listStationRoutes() {
+        const { stops } = await getStatic();
+        const service = {};
+        for (const stop of stops.values()) {
+            service[stop.id] = { routes: routesAt(stop.id), directions: DIRECTIONS };
+        }
+        return service;
+    }
+
+    return { name: 'synthetic', fetchArrivals, fetchAlerts, listStations, listStationRoutes };
+}
+
+module.exports = { createSyntheticAdapter };
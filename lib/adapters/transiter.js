@@ -0,0 +1,255 @@
+const fetch = require('node-fetch');
+const { createCache } = require('../cache');
+const { createClock } = require('../clock');
+const { createRecorder } = require('./recording');
+const { loadStatic } = require('../gtfs-static');
+const {
+    classify_effect,
+    pick_translation,
+    is_active,
+    make_arrival,
+    get_direction
+} = require('../transit');
+
+// Seconds behind schedule at a stop, or null when Transiter doesn't say
+function get_delay(stop_time) {
+    const time = stop_time.departure || stop_time.arrival || {};
+    return time.delay === undefined || time.delay === null ? null : Number(time.delay);
+}
+
+function get_active_periods(alert) {
+    let periods = alert.allActivePeriods || alert.activePeriods || [];
+    if (periods.length === 0 && alert.currentActivePeriod) periods = [alert.currentActivePeriod];
+    return periods.map(p => ({
+        start: p.startsAt ? Number(p.startsAt) : null,
+        end: p.endsAt ? Number(p.endsAt) : null
+    }));
+}
+
+// How long each Transiter response is reused, in ms. Stop times are shared
+// between boards showing the same station; transfers almost never change.
+const DEFAULT_TTL = {
+    stops: 10000,
+    routes: 60000,
+    alerts: 60000,
+    service: 6 * 60 * 60 * 1000,
+    transfers: 6 * 60 * 60 * 1000
+};
+
+// NYC subway arrivals and alerts from a Transiter instance.
+//   host, port  where Transiter is listening
+//   system      the Transiter system id
+//   ttl         overrides for DEFAULT_TTL
+//   record      a file to save every response to (see ./recording.js)
+//   fetchJson   the responses from somewhere else, (endpoint) => body,
+//               e.g. a recording being replayed
+//   clock       the time trains are counted down on (lib/clock.js); real
+//               time without one
+function createTransiterAdapter(options = {}) {
+    const now = (options.clock || createClock()).now;
+    const BASE_URL = `http://${options.host || 'transiter'}:${options.port || '8080'}`;
+    const SYSTEM_URL = `${BASE_URL}/systems/${options.system || 'us-ny-subway'}`;
+    const ttl = Object.assign({}, DEFAULT_TTL, options.ttl);
+    // reference data may be served stale while Transiter is down; stop
+    // times may not, the board keeps (and flags) its own last good data
+    const cache = createCache();
+    const stopsCache = createCache({ maxStaleMs: 0 });
+
+    const record = options.record ? createRecorder(options.record, now) : null;
+
+    // GET a Transiter endpoint, e.g. 'routes' or 'stops/R20'
+    async function fetch_json(endpoint) {
+        if (options.fetchJson) return options.fetchJson(endpoint);
+        const resp = await fetch(`${SYSTEM_URL}/${endpoint}`, { timeout: 10000 });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status} from ${endpoint}`);
+        const body = await resp.json();
+        if (record) record(endpoint, body);
+        return body;
+    }
+
+    // The same through the cache
+    function fetch_cached(endpoint) {
+        const kind = endpoint.split('/')[0];
+        return (kind === 'stops' ? stopsCache : cache).get(endpoint, ttl[kind], () => fetch_json(endpoint));
+    }
+
+    // Departures for one stop. Errors are thrown so the board can keep its
+    // last good data rather than going blank.
+    async function get_stop_times(station) {
+        const stop_times_data = await fetch_cached(`stops/${station}`);
+
+        const result = [];
+        const nowSeconds = now() / 1000;
+
+        if (!stop_times_data || !stop_times_data.stopTimes) return result;
+
+        for (const stop_time of stop_times_data.stopTimes) {
+            if (stop_time.departure && typeof stop_time.departure.time !== 'undefined') {
+                const trip = stop_time.trip || {};
+                const arrival = make_arrival({
+                    route_id: trip.route ? trip.route.id : '',
+                    current_stop: stop_times_data.name || station,
+                    last_stop_name: trip.destination ? trip.destination.name : '',
+                    stop_id: stop_time.stop && stop_time.stop.id ? stop_time.stop.id : station,
+                    trip_id: trip.id || null,
+                    delay: get_delay(stop_time),
+                    track: stop_time.track || null
+                }, Number(stop_time.departure.time), nowSeconds);
+                if (arrival) result.push(arrival);
+            }
+        }
+
+        return result;
+    }
+
+    // The stops a trip has still to make, or null if Transiter doesn't know
+    // the trip (it has finished, or the id is wrong). Not cached: trips are
+    // looked up one at a time, when someone asks.
+    async function fetchTrip(trip_id, route_id) {
+        // Transiter files trips under their route
+        if (!route_id) return null;
+        let trip;
+        try {
+            trip = await fetch_json(`routes/${encodeURIComponent(route_id)}/trips/${encodeURIComponent(trip_id)}`);
+        } catch (err) {
+            if (/HTTP 404/.test(err.message)) return null;
+            throw err;
+        }
+        const nowSeconds = now() / 1000;
+        const stopTimes = trip.stopTimes || [];
+        const time = t => (t && t.time ? Number(t.time) : null);
+        // Transiter marks the stops still to come as future
+        const remaining = stopTimes.filter(stop_time => (typeof stop_time.future === 'boolean'
+            ? stop_time.future
+            : (time(stop_time.arrival) || time(stop_time.departure)) >= nowSeconds));
+        const stops = remaining.map(stop_time => ({
+            id: stop_time.stop ? stop_time.stop.id : '',
+            name: stop_time.stop ? stop_time.stop.name : '',
+            arrival: time(stop_time.arrival),
+            departure: time(stop_time.departure),
+            track: stop_time.track || null
+        }));
+        const last = stopTimes[stopTimes.length - 1];
+        return {
+            id: trip.id || trip_id,
+            route: route_id,
+            destination: last && last.stop ? last.stop.name : '',
+            direction: get_direction(last && last.stop ? last.stop.id : ''),
+            stops
+        };
+    }
+
+    async function get_transfer_stations(station) {
+        try {
+            const transfers_data = await fetch_cached('transfers');
+            const transfer_stations = [];
+            if (!transfers_data || !transfers_data.transfers) return transfer_stations;
+            for (const transfer of transfers_data.transfers) {
+                if (transfer.fromStop && transfer.fromStop.id === station && transfer.toStop) {
+                    transfer_stations.push(transfer.toStop.id);
+                }
+            }
+            return transfer_stations;
+        } catch (err) {
+            console.error('get_transfer_stations error', err && err.message);
+            return [];
+        }
+    }
+
+    // Departures for a station and every station it has transfers to
+    async function fetchArrivals(station) {
+        const transfer_stations = await get_transfer_stations(station);
+        const results = await Promise.all([station].concat(transfer_stations).map(get_stop_times));
+        return [].concat(...results);
+    }
+
+    // Alerts with their text, active periods and the routes and stops they
+    // affect, most severe first. Routes reference their alerts by id, so the
+    // two responses are joined here.
+    async function fetchAlerts() {
+        try {
+            const [routes_data, alerts_data] = await Promise.all([
+                fetch_cached('routes'),
+                fetch_cached('alerts').catch(err => {
+                    console.error('get_alerts error', err && err.message);
+                    return {};
+                })
+            ]);
+
+            const alerts = {};
+            const ensure = (id, source) => {
+                if (!alerts[id]) alerts[id] = { id, source, routes: new Set(), stops: new Set() };
+                return alerts[id];
+            };
+            for (const alert of (alerts_data.alerts || [])) {
+                const entry = ensure(alert.id, alert);
+                for (const entity of (alert.informedEntities || [])) {
+                    const route_id = entity.routeId || (entity.route && entity.route.id);
+                    const stop_id = entity.stopId || (entity.stop && entity.stop.id);
+                    if (route_id) entry.routes.add(route_id);
+                    if (stop_id) entry.stops.add(stop_id);
+                }
+            }
+            for (const route of (routes_data.routes || [])) {
+                for (const ref of (route.alerts || [])) {
+                    ensure(ref.id, ref).routes.add(route.id);
+                }
+            }
+
+            const nowSeconds = now() / 1000;
+            return Object.values(alerts).map(({ id, source, routes, stops }) => {
+                const active_periods = get_active_periods(source);
+                const classified = classify_effect(source.effect);
+                return {
+                    id,
+                    routes: [...routes],
+                    stops: [...stops],
+                    cause: source.cause || 'UNKNOWN_CAUSE',
+                    effect: source.effect || 'UNKNOWN_EFFECT',
+                    status: classified.status,
+                    severity: classified.severity,
+                    header: pick_translation(source.header),
+                    description: pick_translation(source.description),
+                    active_periods,
+                    active: is_active(active_periods, nowSeconds)
+                };
+            }).sort((a, b) => b.severity - a.severity);
+        } catch (err) {
+            console.error('get_alerts error', err && err.message);
+            return [];
+        }
+    }
+
+    // The NYC subway station list shipped in stations.csv
+    async function listStations() {
+        const { stops } = await loadStatic();
+        return [...stops.values()];
+    }
+
+    // Routes at each stop from the routes' service maps. These list
+    // stations rather than platforms, so directions are left to the caller.
+    async function listStationRoutes() {
+        return cache.get('service', ttl.service, async () => {
+            const routes_data = await fetch_cached('routes');
+            // the route list may leave out service maps; a route that can't be
+            // fetched just doesn't show on the picker
+            const routes = await Promise.all((routes_data.routes || []).map(async route =>
+                (route.serviceMaps ? route : fetch_cached(`routes/${route.id}`).catch(() => route))
+            ));
+            const service = {};
+            for (const route of routes) {
+                for (const map of (route.serviceMaps || [])) {
+                    for (const stop of (map.stops || [])) {
+                        if (!service[stop.id]) service[stop.id] = { routes: [], directions: [] };
+                        if (!service[stop.id].routes.includes(route.id)) service[stop.id].routes.push(route.id);
+                    }
+                }
+            }
+            return service;
+        });
+    }
+
+    return { name: 'transiter', fetchArrivals, fetchAlerts, listStations, listStationRoutes, fetchTrip };
+}
+
+module.exports = { createTransiterAdapter };
@@ -0,0 +1,862 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const express = require('express');
+const { DISRUPTED_STATUSES, service_status_from_alerts, sort_arrivals, refresh_arrivals, leave_status, minutes_until, trip_remark } = require('./transit');
+const { createAdapter } = require('./adapters');
+const { STATION_ID, configFromEnv, mergeConfig, validateConfig, loadConfig, saveConfig } = require('./config');
+const { activeEvent } = require('./calendar');
+const { validateMessage, createMessageStore } = require('./messages');
+const { createWeatherProvider } = require('./weather');
+const { buildComplexes, searchComplexes, nearbyComplexes } = require('./stations');
+const { parseHours, computeStats, createHistory } = require('./history');
+const { createClock } = require('./clock');
+
+// The repository root, where public/ and config.json are
+const ROOT = path.join(__dirname, '..');
+
+// The split-flap server: the Express app with its boards, config and
+// routes, settings read from `env` (process.env by default). Creating one
+// only reads the config and sets its clock (lib/clock.js); boards only
+// poll, and the holiday banner is only checked, between start() and stop().
+// refresh() fetches every board once instead, e.g. for tests.
+function createApp(env = process.env) {
+    const app = express();
+
+    // The clock arrivals, history and the holiday banner run on: real time,
+    // unless SOLARI_CLOCK_START (a date) or a replay moves it (set below,
+    // once the adapter is made) and SOLARI_CLOCK_SPEED speeds it up
+    const clock = createClock();
+    const now = clock.now;
+
+    // Serve static assets
+    app.use('/assets', express.static(path.join(ROOT, 'public/assets')));
+    // Determine current holiday folder and message
+    function getHolidayInfo(date = new Date(now())) {
+        const event = activeEvent(config.holidays, date);
+        if (event) return { folder: event.folder, message: event.message };
+        return { folder: 'default', message: 'Have a great day!' };
+    }
+
+    // The default board's arrivals are also written here (SOLARI_OUTPUT,
+    // 'off' for nowhere)
+    const jsonFilePath = env.SOLARI_OUTPUT || 'output.json';
+
+    // Configuration and state. Settings editable from /admin live in `config`
+    // (see lib/config.js); the rest are environment only.
+    const CONFIG_FILE = env.SOLARI_CONFIG || path.join(ROOT, 'config.json');
+    let config = loadConfig(CONFIG_FILE, configFromEnv(env));
+    const MAX_BOARDS = Number(env.SOLARI_MAX_BOARDS) || 8;
+    // Scheduled board messages, kept beside the config file
+    const messageStore = createMessageStore(env.SOLARI_MESSAGES || path.join(path.dirname(CONFIG_FILE), 'messages.json'));
+    // Arrival history for /api/stats, kept beside the config file for
+    // SOLARI_HISTORY_DAYS days (30); SOLARI_HISTORY=off turns it off
+    const history = createHistory({
+        dir: env.SOLARI_HISTORY === 'off' ? null : env.SOLARI_HISTORY || path.join(path.dirname(CONFIG_FILE), 'history'),
+        keepDays: Number(env.SOLARI_HISTORY_DAYS) || 30
+    });
+    // Arrivals older than this are flagged stale so the board can say so
+    function staleAfter() {
+        return Number(env.SOLARI_STALE_AFTER) * 1000 || 3 * config.pollInterval;
+    }
+
+    // Changes pushed to /api/stream clients: 'arrivals' and 'station' (with the
+    // board), 'alerts' (active alerts), 'holiday' (the /holiday-info payload)
+    // and 'config' (the new config)
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+
+    // Named boards, each with its own station, poll loop and in-memory results.
+    // The 'default' board backs the original /api/station and /api/arrivals routes.
+    const boards = new Map();
+
+    function envList(name) {
+        return (env[name] || '').split(',').map(v => v.trim()).filter(Boolean);
+    }
+
+    function envJSON(name) {
+        try {
+            return JSON.parse(env[name] || '{}');
+        } catch (err) {
+            console.error(`Ignoring invalid JSON in ${name}`, err && err.message);
+            return {};
+        }
+    }
+
+    // Options for each adapter. Transiter's come from the config, plus
+    // SOLARI_RECORD to save its responses for the replay adapter (SOLARI_REPLAY
+    // names the file to play). The GTFS-RT feeds (which may carry API keys) stay
+    // in the environment. The synthetic adapter only needs the clock, which
+    // every adapter is given.
+    function adapterOptions(name) {
+        if (name === 'transiter') return Object.assign({ record: env.SOLARI_RECORD, clock }, config.transiter);
+        if (name === 'replay') return { file: env.SOLARI_REPLAY, clock };
+        if (name === 'synthetic') return { clock };
+        return {
+            clock,
+            feeds: envList('GTFS_RT_FEEDS'),
+            alertFeeds: envList('GTFS_RT_ALERT_FEEDS'),
+            staticDir: env.GTFS_STATIC_DIR,
+            headers: envJSON('GTFS_RT_HEADERS')
+        };
+    }
+
+    // Where arrivals, alerts and stations come from: SOLARI_ADAPTER=transiter
+    // (the default), gtfs-rt, replay or synthetic
+    const ADAPTER = env.SOLARI_ADAPTER || 'transiter';
+    let adapter = createAdapter(ADAPTER, adapterOptions(ADAPTER));
+
+    clock.set({
+        start: env.SOLARI_CLOCK_START ? Date.parse(env.SOLARI_CLOCK_START) : adapter.startTime,
+        speed: Number(env.SOLARI_CLOCK_SPEED) || 1
+    });
+
+    // Where /api/weather comes from (config.weather.provider)
+    function createWeather() {
+        return createWeatherProvider(config.weather.provider, { file: config.weather.file });
+    }
+    let weatherProvider = createWeather();
+
+    // Refresh a board's arrivals. On failure the board keeps its last good data,
+    // which /api/arrivals flags as stale once it is old enough. Resolves to
+    // whether the fetch succeeded.
+    async function fetchAndWrite(board) {
+        const station = board.station;
+        try {
+            const [result, alerts] = await Promise.all([
+                adapter.fetchArrivals(station),
+                adapter.fetchAlerts()
+            ]);
+            const service_status = service_status_from_alerts([...new Set(result.map(r => r.route_id))], alerts);
+            publishAlerts(alerts);
+
+            const combined_results = [];
+            for (const stop of result) {
+                combined_results.push(Object.assign({}, stop, {
+                    service_status: (service_status[stop.route_id] || {}).status || 'Unknown'
+                }));
+            }
+
+            sort_arrivals(combined_results);
+
+            // ignore results for a station the board has since moved away from
+            if (board.station !== station) return true;
+
+            // a fetch or two may fail between polls; the poll interval is real
+            // time, the history's the clock's
+            history.record(board.id, station, combined_results, now(), 3 * config.pollInterval * clock.speed());
+
+            // update in-memory, and on-disk for the default board
+            board.data = combined_results;
+            board.updatedAt = Date.now();
+            board.failures = 0;
+            events.emit('arrivals', board);
+            if (board.id !== 'default' || jsonFilePath === 'off') return true;
+            try {
+                fs.writeFileSync(jsonFilePath, JSON.stringify(combined_results, null, 2));
+            } catch (err) {
+                console.error('Error writing output.json', err && err.message);
+            }
+            return true;
+        } catch (err) {
+            console.error('fetchAndWrite error', board.id, err && err.message);
+            if (board.station !== station) return false;
+            board.failures++;
+            // the data may have just gone stale
+            events.emit('arrivals', board);
+            return false;
+        }
+    }
+
+    // Tell stream clients when the set of active alerts changes
+    let publishedAlerts = null;
+    function publishAlerts(alerts) {
+        const active = alerts.filter(a => a.active);
+        const key = JSON.stringify(active.map(a => [a.id, a.status, a.header, a.routes]));
+        if (key === publishedAlerts) return;
+        publishedAlerts = key;
+        events.emit('alerts', active);
+    }
+
+    function isValidBoardId(id) {
+        return /^[a-z0-9_-]{1,32}$/i.test(String(id || ''));
+    }
+
+    // Whether start() has been called (and stop() hasn't)
+    let running = false;
+
+    // A board's poll loop: run once immediately, then schedule
+    function startPolling(board) {
+        fetchAndWrite(board);
+        board.timer = setInterval(() => fetchAndWrite(board), config.pollInterval);
+    }
+
+    // Create a board, polling straight away once the server is running
+    function createBoard(id, station) {
+        const board = {
+            id,
+            station: String(station || config.station).toUpperCase(),
+            data: [],
+            updatedAt: null, // when data was last fetched successfully
+            failures: 0, // consecutive failed fetches
+            timer: null
+        };
+        boards.set(id, board);
+        if (running) startPolling(board);
+        return board;
+    }
+
+    // Look up a board, creating it on first use so a new display only needs
+    // a ?board= parameter. Returns null for invalid ids or once MAX_BOARDS is hit.
+    function getBoard(id) {
+        if (boards.has(id)) return boards.get(id);
+        if (!isValidBoardId(id) || boards.size >= MAX_BOARDS) return null;
+        return createBoard(id, config.station);
+    }
+
+    async function setBoardStation(board, station) {
+        board.station = String(station).toUpperCase();
+        // the old station's departures are no use, even as stale data
+        board.data = [];
+        board.updatedAt = null;
+        board.failures = 0;
+        events.emit('station', board);
+        // immediately fetch for new station and wait for updated data
+        return fetchAndWrite(board);
+    }
+
+    // Seconds since the board's data was fetched, and whether that is too old
+    // to trust. A board that has never loaded is only stale once a fetch fails.
+    function boardFreshness(board) {
+        if (board.updatedAt === null) return { age: null, stale: board.failures > 0 };
+        const age = Date.now() - board.updatedAt;
+        return { age: Math.round(age / 1000), stale: age > staleAfter() };
+    }
+
+    function splitList(value) {
+        return String(value || '').split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+    }
+
+    // Filters accepted by the arrivals routes, e.g.
+    // ?routes=4,5,6&direction=N&exclude_terminal=Woodlawn&min_minutes=3
+    function parseArrivalFilters(query) {
+        return {
+            routes: splitList(query.routes),
+            direction: String(query.direction || '').trim().toUpperCase(),
+            exclude_terminal: splitList(query.exclude_terminal),
+            min_minutes: Number(query.min_minutes) || 0
+        };
+    }
+
+    function filterArrivals(entries, filters) {
+        return entries.filter(entry => {
+            if (filters.routes.length && !filters.routes.includes(String(entry.route_id).toUpperCase())) return false;
+            if (filters.direction && entry.direction !== filters.direction) return false;
+            if (filters.exclude_terminal.includes(String(entry.last_stop_name).toUpperCase())) return false;
+            // arrival_time is '0' (a string) for trains departing now
+            if (Number(entry.arrival_time) < filters.min_minutes) return false;
+            return true;
+        });
+    }
+
+    // Arrivals response for a board: countdowns recomputed from the departure
+    // times (the data may be a poll or more old), filtered (by the board's
+    // direction unless the query picks one) and shaped for the arrivals
+    // plugin. `now` lets the browser correct for clock drift, and `messages`
+    // are the board's scheduled messages for it to show when due. Messages
+    // are timed on the real clock, which `realNow` gives, since `now` is the
+    // simulated one under SOLARI_CLOCK_START or a replay.
+    function boardArrivals(board, query) {
+        const entries = refresh_arrivals(board.data, now() / 1000);
+        const walk = config.walkMinutes[board.id] || 0;
+        const filters = parseArrivalFilters(query);
+        if (!filters.direction) filters.direction = boardDirection(board);
+        const r = formatArrivals(filterArrivals(entries, filters), boardFreshness(board), walk);
+        r.messages = messageStore.list(board.id);
+        r.realNow = Date.now();
+        return r;
+    }
+
+    // Status lights for the leave_status() advice: green to go, red to run and
+    // none once it's missed
+    const LEAVE_LIGHTS = { 'GO NOW': 'A', RUN: 'B', MISSED: '' };
+
+    // `walk` is the board's walking time in minutes. The remarks show the leave
+    // advice when there is some, then the train's own `note` (LATE 4 or
+    // EXPRESS), then the route's service status. The lights show the leave
+    // advice or the service status, which is also kept in service/service_light
+    // for the browser's countdown.
+    function formatArrivals(entries, freshness, walk) {
+        const r = Object.assign({ data: [], now: now(), walk }, freshness);
+        for (let i = 0; i < Math.min(45, entries.length); i++) {
+            const entry = entries[i];
+            const data = {
+                line: entry.route_id,
+                stop: entry.current_stop,
+                terminal: entry.last_stop_name,
+                direction: entry.direction,
+                scheduled: entry.arrival_time,
+                departure: entry.departure_time,
+                trip: entry.trip_id,
+                delay: entry.delay,
+                track: entry.track,
+                express: entry.express,
+                note: trip_remark(entry),
+                service: entry.service_status,
+                service_light: DISRUPTED_STATUSES.includes(entry.service_status) ? 'B' : 'A',
+                leave: leave_status(entry.arrival_time, walk)
+            };
+            data.remarks = data.leave || data.note || data.service;
+            data.status = data.leave ? LEAVE_LIGHTS[data.leave] : data.service_light;
+            r.data.push(data);
+        }
+        return r;
+    }
+
+    // Boards from SOLARI_BOARDS, e.g. "hallway=R20,kitchen=232"
+    createBoard('default', config.station);
+    for (const pair of (env.SOLARI_BOARDS || '').split(',')) {
+        const [id, station] = pair.split('=').map(v => (v || '').trim());
+        if (!id || boards.has(id)) continue;
+        if (!isValidBoardId(id)) {
+            console.error('Ignoring invalid board id', id);
+            continue;
+        }
+        if (station && !STATION_ID.test(station)) {
+            console.error('Ignoring invalid station for board', id, station);
+            continue;
+        }
+        createBoard(id, station);
+    }
+
+    // Get or set a board's walking time to the station (?minutes=5; 0 turns
+    // the leave advice off)
+    function handleWalk(board, req, res) {
+        if (req.query.minutes !== undefined) {
+            if (!isAdmin(req)) return res.status(401).json({ ok: false, error: 'admin token required' });
+            let result;
+            try {
+                result = updateConfig({ walkMinutes: { [board.id]: Number(req.query.minutes) } });
+            } catch (err) {
+                console.error('Error saving config', err && err.message);
+                return res.status(500).json({ ok: false, error: 'could not save config' });
+            }
+            if (result.errors) return res.status(400).json({ ok: false, error: 'invalid minutes', errors: result.errors });
+        }
+        res.json({ ok: true, walkMinutes: config.walkMinutes[board.id] || 0 });
+    }
+
+    // The direction a board shows (N or S), or '' for both
+    function boardDirection(board) {
+        return config.directions[board.id] || '';
+    }
+
+    // Get or set a board's station, and with ?direction=N, S or both which
+    // way its trains are going
+    async function handleStation(board, req, res) {
+        const s = req.query.station;
+        // the station goes into the adapter's request path, so only stop ids
+        if (s && !STATION_ID.test(String(s))) return res.status(400).json({ ok: false, error: 'station must be a stop id such as 232 or R20' });
+        if (req.query.direction !== undefined) {
+            if (!isAdmin(req)) return res.status(401).json({ ok: false, error: 'admin token required' });
+            const direction = String(req.query.direction).trim().toUpperCase().replace(/^BOTH$/, '');
+            let result;
+            try {
+                result = updateConfig({ directions: { [board.id]: direction } });
+            } catch (err) {
+                console.error('Error saving config', err && err.message);
+                return res.status(500).json({ ok: false, error: 'could not save config' });
+            }
+            if (result.errors) return res.status(400).json({ ok: false, error: 'invalid direction', errors: result.errors });
+            if (!s) return res.json({ ok: true, station: board.station, direction: boardDirection(board) });
+        }
+        if (s) {
+            // the default board shows the configured station, so changing it
+            // saves the config to keep it across restarts
+            if (board.id === 'default' && !isAdmin(req)) return res.status(401).json({ ok: false, error: 'admin token required' });
+            const ok = await setBoardStation(board, s);
+            if (board.id === 'default') {
+                let result;
+                try {
+                    result = updateConfig({ station: board.station });
+                } catch (err) {
+                    console.error('Error saving config', err && err.message);
+                }
+                if (result && result.errors) return res.status(400).json({ ok: false, error: 'invalid config', errors: result.errors });
+            }
+            if (!ok) return res.status(500).json({ ok: false, error: 'fetch failed', station: board.station });
+            return res.json({ ok: true, station: board.station, direction: boardDirection(board) });
+        }
+        res.json({ station: board.station, direction: boardDirection(board) });
+    }
+
+    // Validate, save and apply changes to the config. Returns { errors } if the
+    // result is invalid; throws if it can't be saved.
+    function updateConfig(changes) {
+        const next = mergeConfig(config, changes);
+        const errors = validateConfig(next);
+        if (errors.length) return { errors };
+        saveConfig(CONFIG_FILE, next);
+        const prev = config;
+        config = next;
+        applyConfig(prev);
+        events.emit('config', config);
+        return { config };
+    }
+
+    // Put a changed config into effect without a restart. Display settings
+    // (rows, stagger, weather) reach the browsers through the 'config' event.
+    function applyConfig(prev) {
+        if (ADAPTER === 'transiter' && JSON.stringify(prev.transiter) !== JSON.stringify(config.transiter)) {
+            adapter = createAdapter(ADAPTER, adapterOptions(ADAPTER));
+            boards.forEach(board => fetchAndWrite(board));
+        }
+        if (running && prev.pollInterval !== config.pollInterval) {
+            boards.forEach(board => {
+                clearInterval(board.timer);
+                board.timer = setInterval(() => fetchAndWrite(board), config.pollInterval);
+            });
+        }
+        const main = boards.get('default');
+        if (main.station !== config.station) setBoardStation(main, config.station);
+        if (prev.weather.provider !== config.weather.provider || prev.weather.file !== config.weather.file) {
+            weatherProvider = createWeather();
+        }
+        // walking times change the leave advice on every board, directions
+        // which trains are shown
+        if (JSON.stringify(prev.walkMinutes) !== JSON.stringify(config.walkMinutes) ||
+            JSON.stringify(prev.directions) !== JSON.stringify(config.directions)) {
+            boards.forEach(board => events.emit('arrivals', board));
+        }
+        // a new holiday list may change today's banner
+        checkHoliday();
+    }
+
+    // Changing the config needs SOLARI_ADMIN_TOKEN, when it is set, as a
+    // bearer token
+    function isAdmin(req) {
+        const token = env.SOLARI_ADMIN_TOKEN;
+        return !token || req.get('authorization') === `Bearer ${token}`;
+    }
+
+    // API: read or change the config (PUT a partial config to change it)
+    app.get('/api/config', (req, res) => {
+        res.json({ config });
+    });
+
+    app.put('/api/config', express.json(), (req, res) => {
+        if (!isAdmin(req)) return res.status(401).json({ ok: false, error: 'admin token required' });
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ ok: false, error: 'expected a JSON object' });
+        }
+        try {
+            const result = updateConfig(req.body);
+            if (result.errors) return res.status(400).json({ ok: false, error: 'invalid config', errors: result.errors });
+            res.json({ ok: true, config: result.config });
+        } catch (err) {
+            console.error('Error saving config', err && err.message);
+            res.status(500).json({ ok: false, error: 'could not save config' });
+        }
+    });
+
+    // Settings page for the config above
+    app.get('/admin', (req, res) => {
+        res.sendFile(path.join(ROOT, 'public/admin.html'));
+    });
+
+    // API: scheduled messages. POST { text, minutes or end, start?, rows?, board? }
+    // to add one (times as ISO dates or epoch ms; rows 0 takes the whole board),
+    // DELETE /api/messages/<id> to cancel it.
+    app.get('/api/messages', (req, res) => {
+        res.json({ messages: messageStore.list(req.query.board || undefined) });
+    });
+
+    app.post('/api/messages', express.json(), (req, res) => {
+        if (!isAdmin(req)) return res.status(401).json({ ok: false, error: 'admin token required' });
+        const result = validateMessage(req.body || {});
+        if (result.errors) return res.status(400).json({ ok: false, error: 'invalid message', errors: result.errors });
+        messageStore.add(result.message);
+        // stream clients pick messages up with the arrivals
+        boards.forEach(board => events.emit('arrivals', board));
+        res.status(201).json({ ok: true, message: result.message });
+    });
+
+    app.delete('/api/messages/:id', (req, res) => {
+        if (!isAdmin(req)) return res.status(401).json({ ok: false, error: 'admin token required' });
+        if (!messageStore.cancel(req.params.id)) return res.status(404).json({ ok: false, error: 'no such message' });
+        boards.forEach(board => events.emit('arrivals', board));
+        res.json({ ok: true });
+    });
+
+    // API: list boards
+    app.get('/api/boards', (req, res) => {
+        res.json({ boards: [...boards.values()].map(b => ({ id: b.id, station: b.station, direction: boardDirection(b) })) });
+    });
+
+    // Resolve :id to a board for the per-board routes below
+    app.param('boardId', (req, res, next, id) => {
+        const board = getBoard(id);
+        if (!board) return res.status(404).json({ ok: false, error: 'unknown board', board: id });
+        req.board = board;
+        next();
+    });
+
+    // API: get or set a board's station
+    app.get('/api/boards/:boardId/station', (req, res) => handleStation(req.board, req, res));
+
+    // API: get or set a board's walking time
+    app.get('/api/boards/:boardId/walk', (req, res) => handleWalk(req.board, req, res));
+
+    app.get('/api/boards/:boardId/arrivals', (req, res) => {
+        res.json(boardArrivals(req.board, req.query));
+    });
+
+    // API: route alerts, optionally limited to ?routes=4,5,6. Inactive
+    // (scheduled or expired) alerts are only included with ?all=1.
+    app.get('/api/alerts', async (req, res) => {
+        const routes = splitList(req.query.routes);
+        const all = req.query.all === '1' || req.query.all === 'true';
+        const alerts = (await adapter.fetchAlerts())
+            .filter(a => all || a.active)
+            .filter(a => routes.length === 0 || a.routes.some(r => routes.includes(String(r).toUpperCase())));
+        res.json({ alerts });
+    });
+
+    // API: current weather for the configured location, fetched and cached
+    // by the weather provider so displays never call a weather service directly
+    app.get('/api/weather', async (req, res) => {
+        const { latitude, longitude, temperatureUnit, precipitationUnit, timezone } = config.weather;
+        try {
+            const weather = await weatherProvider.fetchWeather({ latitude, longitude, temperatureUnit, precipitationUnit, timezone });
+            res.json({ ok: true, weather });
+        } catch (err) {
+            console.error('get_weather error', err && err.message);
+            res.status(502).json({ ok: false, error: 'weather unavailable' });
+        }
+    });
+
+    // API: get or set the default board's station
+    app.get('/api/station', (req, res) => handleStation(boards.get('default'), req, res));
+    app.get('/api/walk', (req, res) => handleWalk(boards.get('default'), req, res));
+
+    app.use('/api/arrivals', (req, res) => {
+        res.json(boardArrivals(boards.get('default'), req.query));
+    });
+
+    // API: how reliable each route has been, from the arrival history: average
+    // and longest headways, gaps and how often trains ran late, overall and by
+    // hour of the day (in the weather time zone). ?days= (7), ?routes=4,5,
+    // ?board=, ?hours=7-10 for the morning commute and ?gap= minutes (15).
+    app.get('/api/stats', (req, res) => {
+        const days = req.query.days === undefined ? 7 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > history.keepDays) {
+            return res.status(400).json({ ok: false, error: `days must be 1-${history.keepDays}` });
+        }
+        const hours = req.query.hours === undefined ? null : parseHours(req.query.hours);
+        if (req.query.hours !== undefined && !hours) return res.status(400).json({ ok: false, error: 'hours must be like 7-10' });
+        const gap = req.query.gap === undefined ? 15 : Number(req.query.gap);
+        if (!Number.isFinite(gap) || gap <= 0) return res.status(400).json({ ok: false, error: 'gap must be a number of minutes' });
+
+        const routes = splitList(req.query.routes);
+        const end = now();
+        const departures = history.departures(days, req.query.board, end)
+            .filter(d => routes.length === 0 || routes.includes(String(d.route).toUpperCase()));
+        const timeZone = config.weather.timezone === 'auto' ? undefined : config.weather.timezone;
+        res.json(Object.assign({
+            ok: true,
+            from: new Date(end - days * 86400000).toISOString(),
+            to: new Date(end).toISOString(),
+            timezone: timeZone || null,
+            gap
+        }, computeStats(departures, { timeZone, hours, gapMinutes: gap })));
+    });
+
+    // The route a trip in some board's arrivals runs on, or undefined
+    function tripRoute(trip_id) {
+        for (const board of boards.values()) {
+            const entry = board.data.find(e => e.trip_id === trip_id);
+            if (entry) return entry.route_id;
+        }
+        return undefined;
+    }
+
+    // API: the stops a train has still to make, each with its minutes away, for
+    // a trip id from /api/arrivals. ?route= is only needed for trips no board is
+    // showing.
+    app.get('/api/trips/:tripId', async (req, res) => {
+        const trip_id = req.params.tripId;
+        if (!/^[a-z0-9_.:+-]{1,100}$/i.test(trip_id)) return res.status(400).json({ ok: false, error: 'invalid trip id' });
+        if (!adapter.fetchTrip) return res.status(501).json({ ok: false, error: `trips are not available from ${adapter.name}` });
+        const route = String(req.query.route || tripRoute(trip_id) || '').toUpperCase();
+        try {
+            const trip = await adapter.fetchTrip(trip_id, route);
+            if (!trip) return res.status(404).json({ ok: false, error: 'unknown trip' });
+            const nowSeconds = now() / 1000;
+            trip.stops = trip.stops.map(stop => Object.assign(stop, {
+                minutes: Math.max(0, minutes_until(stop.arrival || stop.departure, nowSeconds))
+            }));
+            res.json({ ok: true, trip });
+        } catch (err) {
+            console.error('get_trip error', err && err.message);
+            res.status(502).json({ ok: false, error: 'trip unavailable' });
+        }
+    });
+
+    // Station complexes from the adapter's stops and, where it knows them, the
+    // routes serving each stop
+    async function loadComplexes() {
+        const [stops, service] = await Promise.all([
+            adapter.listStations(),
+            adapter.listStationRoutes
+                ? adapter.listStationRoutes().catch(err => {
+                    console.error('list_station_routes error', err && err.message);
+                    return {};
+                })
+                : {}
+        ]);
+        return buildComplexes(stops, service);
+    }
+
+    // API: station complexes for the picker, best match first for ?q= (a name,
+    // with typos and abbreviations allowed, or a stop id); at most ?limit=
+    app.get('/api/stations', async (req, res) => {
+        try {
+            const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 500);
+            res.json({ ok: true, stations: searchComplexes(await loadComplexes(), req.query.q, limit) });
+        } catch (err) {
+            console.error('Error listing stations', err && err.message);
+            res.status(500).json({ ok: false, error: 'stations unavailable' });
+        }
+    });
+
+    // API: the complexes closest to ?lat=&lon= (the location set in /admin
+    // without them), within ?radius= metres (default 1000), each with its
+    // distance in metres
+    app.get('/api/stations/nearby', async (req, res) => {
+        const given = req.query.lat !== undefined || req.query.lon !== undefined;
+        const lat = given ? Number(req.query.lat) : config.weather.latitude;
+        const lon = given ? Number(req.query.lon) : config.weather.longitude;
+        const radius = req.query.radius === undefined ? 1000 : Number(req.query.radius);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return res.status(400).json({ ok: false, error: 'lat and lon must be coordinates' });
+        }
+        if (!Number.isFinite(radius) || radius <= 0 || radius > 50000) {
+            return res.status(400).json({ ok: false, error: 'radius must be 1-50000 metres' });
+        }
+        try {
+            const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+            const stations = nearbyComplexes(await loadComplexes(), lat, lon, radius, limit);
+            res.json({ ok: true, lat, lon, radius, stations });
+        } catch (err) {
+            console.error('Error listing stations', err && err.message);
+            res.status(500).json({ ok: false, error: 'stations unavailable' });
+        }
+    });
+
+    // Serve the adapter's station list as stations.csv so the UI can fetch it
+    app.get('/stations.csv', async (req, res) => {
+        try {
+            const stations = await adapter.listStations();
+            const quote = v => (/[",\n]/.test(String(v)) ? '"' + String(v).replace(/"/g, '""') + '"' : String(v));
+            const lines = ['stop_id,name,lat,lon,parent_id'].concat(
+                stations.map(s => [s.id, s.name, s.lat, s.lon, s.parent_id].map(quote).join(','))
+            );
+            res.type('text/csv').send(lines.join('\n') + '\n');
+        } catch (err) {
+            console.error('Error listing stations', err && err.message);
+            res.status(500).send('stations unavailable');
+        }
+    });
+
+    // serve static UI
+    app.use('/', express.static(path.join(ROOT, 'public')));
+
+    // Holiday banner data: the day's message and shuffled GIFs. A holiday
+    // without a GIF folder (yet) still shows its message.
+    function loadHolidayInfo(date = new Date(now())) {
+        const { folder, message } = getHolidayInfo(date);
+        const gifDir = path.join(ROOT, 'public/assets', folder);
+
+        return new Promise(resolve => {
+            fs.readdir(gifDir, (err, files) => {
+                if (err || !files) {
+                    const isHoliday = folder !== 'default';
+                    return resolve({ message: isHoliday ? message : '', gifs: [], isHoliday });
+                }
+
+                const gifs = files
+                    .filter(f => /\.(gif|png|jpe?g)$/i.test(f))
+                    .map(f => `/assets/${folder}/${f}`);
+
+                const isHoliday = folder !== 'default' || gifs.length > 0;
+                const shuffled = isHoliday ? [...gifs].sort(() => Math.random() - 0.5) : [];
+
+                resolve({
+                    message: isHoliday ? message : '',
+                    gifs: shuffled,
+                    isHoliday
+                });
+            });
+        });
+    }
+
+    // === Holiday banner data endpoint ===
+    // ?date=2026-11-26 previews the banner for another day
+    app.get('/holiday-info', async (req, res) => {
+        let date = new Date(now());
+        if (req.query.date) {
+            const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(req.query.date);
+            date = m && new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+            if (!date || date.getMonth() !== Number(m[2]) - 1 || date.getDate() !== Number(m[3])) return res.status(400).json({ ok: false, error: 'date must be YYYY-MM-DD' });
+        }
+        res.json(await loadHolidayInfo(date));
+    });
+
+    // === Holiday GIFs ===
+    // Upload with PUT /api/holidays/<folder>/gifs/<name>.gif and the image as
+    // the request body; GET lists a folder and DELETE removes one. The folder
+    // is created on the first upload.
+    const GIF_NAME = /^[a-z0-9_.-]{1,64}\.(gif|png|jpe?g)$/i;
+
+    app.param('folder', (req, res, next, folder) => {
+        if (!/^[a-z0-9_-]{1,64}$/i.test(folder)) return res.status(400).json({ ok: false, error: 'invalid folder' });
+        req.gifDir = path.join(ROOT, 'public/assets', folder);
+        next();
+    });
+
+    app.get('/api/holidays/:folder/gifs', async (req, res) => {
+        let files = [];
+        try {
+            files = await fs.promises.readdir(req.gifDir);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error('Error listing GIFs', err && err.message);
+        }
+        res.json({ gifs: files.filter(f => GIF_NAME.test(f)).map(f => `/assets/${req.params.folder}/${f}`) });
+    });
+
+    app.put('/api/holidays/:folder/gifs/:name', express.raw({ type: () => true, limit: '10mb' }), async (req, res) => {
+        if (!isAdmin(req)) return res.status(401).json({ ok: false, error: 'admin token required' });
+        if (!GIF_NAME.test(req.params.name)) return res.status(400).json({ ok: false, error: 'name must end in .gif, .png or .jpg' });
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) return res.status(400).json({ ok: false, error: 'empty upload' });
+        try {
+            await fs.promises.mkdir(req.gifDir, { recursive: true });
+            await fs.promises.writeFile(path.join(req.gifDir, req.params.name), req.body);
+        } catch (err) {
+            console.error('Error saving GIF', err && err.message);
+            return res.status(500).json({ ok: false, error: 'could not save upload' });
+        }
+        // today's banner may have just gained a GIF
+        checkHoliday(true);
+        res.status(201).json({ ok: true, gif: `/assets/${req.params.folder}/${req.params.name}` });
+    });
+
+    app.delete('/api/holidays/:folder/gifs/:name', async (req, res) => {
+        if (!isAdmin(req)) return res.status(401).json({ ok: false, error: 'admin token required' });
+        if (!GIF_NAME.test(req.params.name)) return res.status(400).json({ ok: false, error: 'invalid name' });
+        try {
+            await fs.promises.unlink(path.join(req.gifDir, req.params.name));
+        } catch (err) {
+            if (err.code === 'ENOENT') return res.status(404).json({ ok: false, error: 'no such GIF' });
+            console.error('Error deleting GIF', err && err.message);
+            return res.status(500).json({ ok: false, error: 'could not delete' });
+        }
+        checkHoliday(true);
+        res.json({ ok: true });
+    });
+
+    // Tell stream clients when the holiday changes. Checked every minute so
+    // they change over at midnight, and after the holiday list is edited.
+    // `force` resends it anyway, e.g. when its GIFs change.
+    let currentHoliday = JSON.stringify(getHolidayInfo());
+    async function checkHoliday(force) {
+        const holiday = JSON.stringify(getHolidayInfo());
+        if (!force && holiday === currentHoliday) return;
+        currentHoliday = holiday;
+        events.emit('holiday', await loadHolidayInfo());
+    }
+
+    // === Server-Sent Events ===
+    // Pushes 'station', 'arrivals', 'alerts', 'holiday' and 'config' events for a board,
+    // starting with the current state of each. Arrivals filters work as on
+    // /api/arrivals.
+    async function handleStream(board, req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const onArrivals = b => { if (b === board) send('arrivals', boardArrivals(board, req.query)); };
+        const onStation = b => { if (b === board) send('station', { station: board.station, direction: boardDirection(board) }); };
+        const onAlerts = alerts => send('alerts', { alerts });
+        const onHoliday = info => send('holiday', info);
+        const onConfig = config => send('config', { config });
+
+        events.on('arrivals', onArrivals);
+        events.on('station', onStation);
+        events.on('alerts', onAlerts);
+        events.on('holiday', onHoliday);
+        events.on('config', onConfig);
+        // keep proxies from closing an idle connection
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            events.off('arrivals', onArrivals);
+            events.off('station', onStation);
+            events.off('alerts', onAlerts);
+            events.off('holiday', onHoliday);
+            events.off('config', onConfig);
+        });
+
+        send('station', { station: board.station, direction: boardDirection(board) });
+        send('arrivals', boardArrivals(board, req.query));
+        const [alerts, holiday] = await Promise.all([adapter.fetchAlerts(), loadHolidayInfo()]);
+        send('alerts', { alerts: alerts.filter(a => a.active) });
+        send('holiday', holiday);
+    }
+
+    app.get('/api/boards/:boardId/stream', (req, res) => handleStream(req.board, req, res));
+    app.get('/api/stream', (req, res) => handleStream(boards.get('default'), req, res));
+
+    let holidayTimer = null;
+    let server = null;
+
+    // Start polling every board and listen on `port`; resolves to the HTTP
+    // server once it is listening
+    function start(port) {
+        running = true;
+        boards.forEach(startPolling);
+        holidayTimer = setInterval(checkHoliday, 60000);
+        return new Promise(resolve => {
+            server = app.listen(port, () => {
+                console.log('split flap started on port ' + server.address().port);
+                resolve(server);
+            });
+        });
+    }
+
+    // Stop polling and close the server
+    function stop() {
+        running = false;
+        boards.forEach(board => {
+            clearInterval(board.timer);
+            board.timer = null;
+        });
+        clearInterval(holidayTimer);
+        if (server) server.close();
+        server = null;
+    }
+
+    // Fetch every board's arrivals once; resolves to whether each fetch
+    // succeeded
+    function refresh() {
+        return Promise.all([...boards.values()].map(fetchAndWrite));
+    }
+
+    return { app, boards, getHolidayInfo, updateConfig, refresh, start, stop };
+}
+
+module.exports = { ROOT, createApp };
@@ -0,0 +1,46 @@
+// Promise cache with a time-to-live per entry, used to keep upstream
+// requests down:
+//  - concurrent callers for the same key share one in-flight load
+//  - a failed load is retried with exponential backoff (backoffMs doubling
+//    up to maxBackoffMs) instead of on every call
+//  - while an entry is failing, its last good value is returned until it is
+//    older than maxStaleMs (0 for realtime data that is no use once stale)
+function createCache(options = {}) {
+    const backoffMs = options.backoffMs || 5000;
+    const maxBackoffMs = options.maxBackoffMs || 5 * 60 * 1000;
+    const maxStaleMs = 'maxStaleMs' in options ? options.maxStaleMs : 24 * 60 * 60 * 1000;
+    const entries = new Map();
+
+    function fallback(entry) {
+        if (entry.hasValue && Date.now() - entry.loadedAt < maxStaleMs) return Promise.resolve(entry.value);
+        return Promise.reject(entry.error);
+    }
+
+    function get(key, ttlMs, loader) {
+        const entry = entries.get(key) || { hasValue: false, failures: 0 };
+        const now = Date.now();
+        if (entry.pending) return entry.pending;
+        if (entry.hasValue && now - entry.loadedAt < ttlMs) return Promise.resolve(entry.value);
+        if (entry.failures > 0 && now < entry.retryAt) return fallback(entry);
+
+        entry.pending = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                entries.set(key, { hasValue: true, value, loadedAt: Date.now(), failures: 0 });
+                return value;
+            }, err => {
+                entry.pending = null;
+                entry.error = err;
+                entry.failures++;
+                entry.retryAt = Date.now() + Math.min(backoffMs * 2 ** (entry.failures - 1), maxBackoffMs);
+                console.error('cache load error', key, `(attempt ${entry.failures})`, err && err.message);
+                return fallback(entry);
+            });
+        entries.set(key, entry);
+        return entry.pending;
+    }
+
+    return { get };
+}
+
+module.exports = { createCache };
@@ -0,0 +1,67 @@
+// Holiday and event calendar for the banner. Each event in config.holidays
+// has a folder (under public/assets), a message and one of:
+//   { month, day }            the same date every year
+//   { month, weekday, nth }   e.g. the 4th Thursday of November
+//                             (weekday 0 = Sunday, nth -1 = the last one)
+// plus optionally:
+//   year      only in that year instead of every year
+//   days      how many days it lasts, from the date above (default 1)
+//   priority  which event wins when several fall on one day (default 0;
+//             higher wins, then the one listed first)
+// Months are 1-12 throughout.
+
+// Helper: Get nth weekday of month (month 0-11)
+function getNthWeekday(year, month, nth, weekday) {
+    const d = new Date(year, month, 1);
+    let day = 1 + (weekday - d.getDay() + 7) % 7;
+    if (day > 7) day -= 7;
+    return day + (nth - 1) * 7;
+}
+
+// Helper: Last weekday of month (month 0-11)
+function getLastWeekday(year, month, weekday) {
+    const lastDay = new Date(year, month + 1, 0);
+    const day = lastDay.getDate();
+    const wd = lastDay.getDay();
+    return day - ((wd - weekday + 7) % 7);
+}
+
+// The day an event starts in `year`, or null if it doesn't happen that year
+// (a one-off in another year, a 5th weekday the month doesn't have, Feb 29)
+function eventStart(event, year) {
+    if (event.year && event.year !== year) return null;
+    const month = event.month - 1;
+    let day = event.day;
+    if (typeof event.weekday === 'number') {
+        day = event.nth === -1
+            ? getLastWeekday(year, month, event.weekday)
+            : getNthWeekday(year, month, event.nth, event.weekday);
+    }
+    const start = new Date(year, month, day);
+    return start.getMonth() === month ? start : null;
+}
+
+// Whether `event` is on during the day of `date`. Events that run over
+// New Year are checked from last year's start too.
+function isOn(event, date) {
+    const today = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return [today.getFullYear() - 1, today.getFullYear()].some(year => {
+        const start = eventStart(event, year);
+        if (!start) return false;
+        const end = new Date(start);
+        end.setDate(end.getDate() + (event.days || 1));
+        return today >= start && today < end;
+    });
+}
+
+// The event to show on `date`, or null when there isn't one
+function activeEvent(events, date = new Date()) {
+    let best = null;
+    for (const event of events) {
+        if (!isOn(event, date)) continue;
+        if (!best || (event.priority || 0) > (best.priority || 0)) best = event;
+    }
+    return best;
+}
+
+module.exports = { getNthWeekday, getLastWeekday, eventStart, activeEvent };
@@ -0,0 +1,40 @@
+// The time arrivals, history and the holiday banner run on. Normally the
+// real time; to replay a recording or demo the board it can start at
+// another moment and run faster (SOLARI_CLOCK_START, SOLARI_CLOCK_SPEED).
+// Each app makes its own and hands it to its adapter, so apps in the same
+// process (e.g. the tests) keep their own time.
+
+// A clock set as set() describes
+function createClock(options = {}) {
+    let start = null; // simulated epoch ms at realStart
+    let realStart = 0;
+    let rate = 1;
+
+    // `start` is epoch ms (or null for now) and `speed` how many simulated
+    // seconds pass each real second
+    function set(options = {}) {
+        realStart = Date.now();
+        rate = options.speed > 0 ? options.speed : 1;
+        start = Number.isFinite(options.start) ? options.start : (rate === 1 ? null : realStart);
+    }
+
+    // Epoch ms on the clock
+    function now() {
+        if (start === null) return Date.now();
+        return start + (Date.now() - realStart) * rate;
+    }
+
+    function isSimulated() {
+        return start !== null;
+    }
+
+    // Simulated seconds each real second
+    function speed() {
+        return rate;
+    }
+
+    set(options);
+    return { set, now, isSimulated, speed };
+}
+
+module.exports = { createClock };
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { hasWeatherProvider } = require('./weather');
+
+// A stop id such as 232 or R20, for the config and the station routes
+const STATION_ID = /^[A-Z0-9]{1,10}$/i;
+
+// Settings that can be changed from /admin. Saved as JSON (config.json next
+// to app.js, or SOLARI_CONFIG) and merged over defaults taken from the
+// environment, so an empty or missing file behaves like the old env setup.
+function configFromEnv(env = process.env) {
+    return {
+        station: env.SOLARI_STATION || '232',
+        transiter: {
+            host: env.TRANSITER_HOST || 'transiter',
+            port: env.TRANSITER_PORT || '8080',
+            system: env.TRANSITER_SYSTEM || 'us-ny-subway'
+        },
+        pollInterval: 20000, // ms between fetches for each board
+        numRows: 45, // rows on each display
+        stagger: 300, // ms between flipping each row
+        // served by /api/weather; see lib/weather
+        weather: {
+            provider: env.SOLARI_WEATHER_PROVIDER || 'open-meteo', // or 'file' or 'stub'
+            file: env.SOLARI_WEATHER_FILE || '', // JSON file for the 'file' provider
+            latitude: 40.6501, // Brooklyn
+            longitude: -73.9496,
+            temperatureUnit: 'fahrenheit',
+            precipitationUnit: 'inch',
+            timezone: 'America/New_York',
+            // local times the board says TAKE AN UMBRELLA for if rain is due
+            commutes: [
+                { start: '07:00', end: '09:30' },
+                { start: '17:00', end: '19:00' }
+            ]
+        },
+        // flap clicks on the displays; times are the display's local time
+        sound: {
+            volume: 0.5, // 0-1
+            quietStart: '22:00', // quieter overnight; '' for no quiet hours
+            quietEnd: '07:00',
+            quietVolume: 0.15,
+            // silent windows, e.g. { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' } (0 = Sunday)
+            mute: []
+        },
+        // minutes' walk to the station for each board id, for GO NOW/RUN/MISSED
+        walkMinutes: {},
+        // direction (N or S) each board id shows; '' or unlisted shows both
+        directions: {},
+        // banner events; see lib/calendar.js for the rules
+        holidays: [
+            { folder: 'newyears', month: 1, day: 1, message: 'Happy New Year!' },
+            { folder: 'independence', month: 7, day: 4, message: 'Happy Independence Day!' },
+            { folder: 'halloween', month: 10, day: 31, message: 'Happy Halloween!' },
+            { folder: 'thanksgiving', month: 11, weekday: 4, nth: 4, message: 'Happy Thanksgiving!' },
+            { folder: 'birthday', month: 2, day: 21, message: 'Happy Birthday Christine!' },
+            { folder: 'christmas', month: 12, day: 25, message: 'Merry Christmas!', priority: 1 },
+            { folder: 'christmaseve', month: 12, day: 24, message: 'Merry Christmas Eve!', priority: 1 }
+        ]
+    };
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge `changes` over `base`, one level into nested objects so a PUT of
+// { weather: { latitude } } keeps the longitude. Arrays are replaced whole.
+function mergeConfig(base, changes) {
+    const merged = Object.assign({}, base);
+    for (const key of Object.keys(changes || {})) {
+        merged[key] = isObject(base[key]) && isObject(changes[key])
+            ? Object.assign({}, base[key], changes[key])
+            : changes[key];
+    }
+    return merged;
+}
+
+function inRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Returns a list of problems with a full config; empty when it is usable
+function validateConfig(config) {
+    const errors = [];
+    const check = (ok, message) => { if (!ok) errors.push(message); };
+
+    check(STATION_ID.test(String(config.station || '')), 'station must be a stop id such as 232 or R20');
+
+    const transiter = config.transiter || {};
+    check(/^[a-z0-9.-]{1,253}$/i.test(String(transiter.host || '')), 'transiter.host must be a host name');
+    check(inRange(Number(transiter.port), 1, 65535) && /^\d+$/.test(String(transiter.port)), 'transiter.port must be 1-65535');
+    check(/^[a-z0-9_-]{1,64}$/i.test(String(transiter.system || '')), 'transiter.system must be a Transiter system id');
+
+    check(Number.isInteger(config.pollInterval) && config.pollInterval >= 5000, 'pollInterval must be a whole number of ms, at least 5000');
+    check(Number.isInteger(config.numRows) && inRange(config.numRows, 1, 100), 'numRows must be 1-100');
+    check(Number.isInteger(config.stagger) && inRange(config.stagger, 0, 10000), 'stagger must be 0-10000 ms');
+
+    const weather = config.weather || {};
+    check(inRange(weather.latitude, -90, 90), 'weather.latitude must be -90 to 90');
+    check(inRange(weather.longitude, -180, 180), 'weather.longitude must be -180 to 180');
+    check(hasWeatherProvider(weather.provider), 'weather.provider must be open-meteo, file or stub');
+    check(weather.provider !== 'file' || (typeof weather.file === 'string' && weather.file.length > 0), 'weather.file is needed for the file provider');
+    check(['celsius', 'fahrenheit'].includes(weather.temperatureUnit), 'weather.temperatureUnit must be celsius or fahrenheit');
+    check(['mm', 'inch'].includes(weather.precipitationUnit), 'weather.precipitationUnit must be mm or inch');
+    check(/^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$|^auto$/.test(String(weather.timezone || '')), 'weather.timezone must be a time zone such as America/New_York');
+    if (!Array.isArray(weather.commutes)) {
+        errors.push('weather.commutes must be a list');
+    } else {
+        const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+        weather.commutes.forEach((c, i) => {
+            const at = `weather.commutes[${i}]`;
+            if (!isObject(c)) return errors.push(`${at} must be an object`);
+            if (!time.test(String(c.start)) || !time.test(String(c.end))) return errors.push(`${at} start and end must be HH:MM times`);
+            check(c.start < c.end, `${at} must end after it starts`);
+        });
+    }
+
+    const sound = config.sound || {};
+    const soundTime = value => value === '' || /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+    check(inRange(sound.volume, 0, 1), 'sound.volume must be 0-1');
+    check(inRange(sound.quietVolume, 0, 1), 'sound.quietVolume must be 0-1');
+    check(soundTime(sound.quietStart) && soundTime(sound.quietEnd) && (sound.quietStart === '') === (sound.quietEnd === ''),
+        'sound.quietStart and quietEnd must both be HH:MM times, or both empty');
+    if (!Array.isArray(sound.mute)) {
+        errors.push('sound.mute must be a list');
+    } else {
+        sound.mute.forEach((m, i) => {
+            const at = `sound.mute[${i}]`;
+            if (!isObject(m)) return errors.push(`${at} must be an object`);
+            check(Array.isArray(m.days) && m.days.length > 0 && m.days.every(d => Number.isInteger(d) && inRange(d, 0, 6)),
+                `${at}.days must list weekdays 0-6 (0 = Sunday)`);
+            if (!soundTime(m.start) || !soundTime(m.end) || !m.start || !m.end) return errors.push(`${at} start and end must be HH:MM times`);
+            check(m.start !== m.end, `${at} must not start and end at the same time`);
+        });
+    }
+
+    if (!isObject(config.walkMinutes)) {
+        errors.push('walkMinutes must map board ids to minutes');
+    } else {
+        Object.keys(config.walkMinutes).forEach(id => {
+            check(/^[a-z0-9_-]{1,32}$/i.test(id), `walkMinutes: ${id} is not a board id`);
+            check(Number.isInteger(config.walkMinutes[id]) && inRange(config.walkMinutes[id], 0, 60), `walkMinutes.${id} must be 0-60`);
+        });
+    }
+
+    if (!isObject(config.directions)) {
+        errors.push('directions must map board ids to N, S or \'\'');
+    } else {
+        Object.keys(config.directions).forEach(id => {
+            check(/^[a-z0-9_-]{1,32}$/i.test(id), `directions: ${id} is not a board id`);
+            check(['', 'N', 'S'].includes(config.directions[id]), `directions.${id} must be N, S or '' for both`);
+        });
+    }
+
+    if (!Array.isArray(config.holidays)) {
+        errors.push('holidays must be a list');
+    } else {
+        config.holidays.forEach((h, i) => {
+            const at = `holidays[${i}]`;
+            if (!isObject(h)) return errors.push(`${at} must be an object`);
+            // the folder is joined onto public/assets, so keep it to one plain name
+            check(/^[a-z0-9_-]{1,64}$/i.test(String(h.folder || '')), `${at}.folder must be a folder name`);
+            check(Number.isInteger(h.month) && inRange(h.month, 1, 12), `${at}.month must be 1-12`);
+            if (h.weekday === undefined || h.weekday === null) {
+                check(Number.isInteger(h.day) && inRange(h.day, 1, 31), `${at}.day must be 1-31`);
+            } else {
+                check(Number.isInteger(h.weekday) && inRange(h.weekday, 0, 6), `${at}.weekday must be 0 (Sunday) to 6`);
+                check([1, 2, 3, 4, 5, -1].includes(h.nth), `${at}.nth must be 1-5, or -1 for the last`);
+            }
+            check(h.year === undefined || (Number.isInteger(h.year) && inRange(h.year, 2000, 2100)), `${at}.year must be a year`);
+            check(h.days === undefined || (Number.isInteger(h.days) && inRange(h.days, 1, 366)), `${at}.days must be 1-366`);
+            check(h.priority === undefined || Number.isInteger(h.priority), `${at}.priority must be a whole number`);
+            check(typeof h.message === 'string' && h.message.length <= 100, `${at}.message must be text, up to 100 characters`);
+        });
+    }
+    return errors;
+}
+
+// Read the config file over the defaults. A missing file is normal; a broken
+// one is reported and ignored so the board still starts.
+function loadConfig(file, defaults) {
+    let saved = {};
+    try {
+        saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Ignoring config file', file, err && err.message);
+        return defaults;
+    }
+    const config = mergeConfig(defaults, saved);
+    const errors = validateConfig(config);
+    if (errors.length) {
+        console.error('Ignoring invalid config file', file, errors.join('; '));
+        return defaults;
+    }
+    return config;
+}
+
+// Write through a temp file so a crash mid-write can't leave half a config
+function saveConfig(file, config) {
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+    fs.writeFileSync(tmp, JSON.stringify(config, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+}
+
+module.exports = { STATION_ID, configFromEnv, mergeConfig, validateConfig, loadConfig, saveConfig };
@@ -0,0 +1,58 @@
+// Minimal CSV reader for GTFS files and stations.csv. Handles quoted fields,
+// doubled quotes inside them, CRLF line endings and a UTF-8 byte order mark.
+
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = String(text).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // drop blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// Parse CSV text into one object per line, keyed by the header row
+function parseCSV(text) {
+    const rows = parseRows(text);
+    const header = (rows.shift() || []).map(h => h.trim());
+    return rows.map(r => {
+        const record = {};
+        header.forEach((key, i) => {
+            record[key] = typeof r[i] === 'undefined' ? '' : r[i].trim();
+        });
+        return record;
+    });
+}
+
+module.exports = { parseCSV };
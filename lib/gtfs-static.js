@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./csv');
+
+// Static GTFS tables needed to turn realtime feeds into arrival records.
+// Only stops are required; routes.txt, trips.txt and transfers.txt are used
+// when present. Without a GTFS directory the stops come from stations.csv.
+const DEFAULT_STOPS_FILE = path.join(__dirname, '..', 'stations.csv');
+
+async function readTable(dir, name) {
+    try {
+        return parseCSV(await fs.promises.readFile(path.join(dir, name), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+}
+
+async function loadStatic(dir) {
+    const stopRows = dir
+        ? await readTable(dir, 'stops.txt')
+        : parseCSV(await fs.promises.readFile(DEFAULT_STOPS_FILE, 'utf8'));
+
+    // stops.txt and stations.csv name their columns differently
+    const stops = new Map();
+    for (const row of stopRows) {
+        stops.set(row.stop_id, {
+            id: row.stop_id,
+            name: row.stop_name || row.name || row.stop_id,
+            parent_id: row.parent_station || row.parent_id || '',
+            lat: Number(row.stop_lat || row.lat),
+            lon: Number(row.stop_lon || row.lon)
+        });
+    }
+
+    const routes = new Map();
+    const trips = new Map();
+    const transfers = new Map();
+    if (dir) {
+        for (const row of await readTable(dir, 'routes.txt')) {
+            routes.set(row.route_id, {
+                id: row.route_id,
+                short_name: row.route_short_name,
+                long_name: row.route_long_name
+            });
+        }
+        for (const row of await readTable(dir, 'trips.txt')) {
+            trips.set(row.trip_id, {
+                route_id: row.route_id,
+                headsign: row.trip_headsign,
+                direction_id: row.direction_id
+            });
+        }
+        for (const row of await readTable(dir, 'transfers.txt')) {
+            if (!row.from_stop_id || row.from_stop_id === row.to_stop_id) continue;
+            if (!transfers.has(row.from_stop_id)) transfers.set(row.from_stop_id, new Set());
+            transfers.get(row.from_stop_id).add(row.to_stop_id);
+        }
+    }
+
+    return { stops, routes, trips, transfers };
+}
+
+module.exports = { loadStatic };
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { LATE_MINUTES } = require('./transit');
+
+// Arrival history, so reliability can be judged over days rather than from
+// the current board. Each board's last fetch is kept in memory, and every
+// train seen to leave since is appended to departures-YYYY-MM-DD.jsonl (UTC
+// days) as
+//   { t, board, station, trip, route, direction, stop, departed, delay }
+// with t in epoch ms and departed in epoch seconds. Files older than
+// keepDays are deleted. Trains need a trip id to be followed from one fetch
+// to the next; arrivals without one never depart.
+
+// A train that drops off the board no later than this many seconds after
+// its predicted departure has left; one that vanishes earlier was
+// cancelled or rerouted
+const DEPART_WINDOW = 60;
+// Headways longer than this (minutes) are taken to be the recorder being
+// off, or the end of service, rather than a gap in it
+const MAX_HEADWAY = 60;
+
+function dayOf(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Hours 0-23 of `hours` ('7-10' for 7:00 to 10:00, '22-2' overnight or a
+// single '8'), or null if it doesn't parse
+function parseHours(hours) {
+    const m = /^(\d{1,2})(?:-(\d{1,2}))?$/.exec(String(hours).trim());
+    if (!m) return null;
+    const from = Number(m[1]);
+    const to = m[2] === undefined ? (from + 1) % 24 : Number(m[2]);
+    if (from > 23 || to > 24 || from === to % 24) return null;
+    const list = [];
+    for (let h = from; h !== to % 24; h = (h + 1) % 24) list.push(h);
+    return list;
+}
+
+// Hour of the day (0-23) in `timeZone` for epoch seconds; the server's own
+// time zone if it isn't a real one
+function hourFormatter(timeZone) {
+    let format;
+    try {
+        format = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone });
+    } catch (err) {
+        format = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23' });
+    }
+    return seconds => Number(format.format(new Date(seconds * 1000))) % 24;
+}
+
+const round = value => Math.round(value * 10) / 10;
+
+// Headway and delay figures for a set of departure records
+function summarise(departures, headways, gapMinutes) {
+    const delayed = departures.filter(d => (d.delay || 0) >= LATE_MINUTES * 60).length;
+    const delays = departures.filter(d => typeof d.delay === 'number');
+    return {
+        departures: departures.length,
+        avgHeadway: headways.length ? round(headways.reduce((a, b) => a + b, 0) / headways.length) : null,
+        maxHeadway: headways.length ? round(Math.max(...headways)) : null,
+        gaps: headways.filter(h => h > gapMinutes).length,
+        delayRate: departures.length ? round(delayed / departures.length * 100) / 100 : 0,
+        avgDelay: delays.length ? round(delays.reduce((a, d) => a + d.delay, 0) / delays.length / 60) : null
+    };
+}
+
+// Reliability by route and direction, overall and for each hour of the day,
+// from departure records. Headways are between trains of the same route
+// leaving the same platform, counted in the hour of the later train. A gap
+// is a headway over `gapMinutes`; a train is delayed at LATE_MINUTES or
+// more. `hours` limits it to some hours of the day (see parseHours).
+function computeStats(departures, { timeZone, hours = null, gapMinutes = 15 } = {}) {
+    const hourOf = hourFormatter(timeZone);
+    // the same train leaving the same platform may be recorded by more than
+    // one board
+    const unique = new Map();
+    departures.forEach(d => unique.set(d.trip + '|' + d.stop, d));
+
+    const platforms = new Map();
+    for (const d of unique.values()) {
+        const key = d.route + '|' + d.direction + '|' + d.stop;
+        if (!platforms.has(key)) platforms.set(key, []);
+        platforms.get(key).push(d);
+    }
+
+    // route|direction and route|direction|hour -> { route, direction, hour, departures, headways }
+    const buckets = new Map();
+    const bucket = (key, fields) => {
+        if (!buckets.has(key)) buckets.set(key, Object.assign({ departures: [], headways: [] }, fields));
+        return buckets.get(key);
+    };
+    for (const list of platforms.values()) {
+        list.sort((a, b) => a.departed - b.departed);
+        list.forEach((d, i) => {
+            const hour = hourOf(d.departed);
+            if (hours && !hours.includes(hour)) return;
+            const headway = i > 0 ? (d.departed - list[i - 1].departed) / 60 : null;
+            const targets = [
+                bucket(d.route + '|' + d.direction, { route: d.route, direction: d.direction }),
+                bucket(d.route + '|' + d.direction + '|' + hour, { route: d.route, direction: d.direction, hour })
+            ];
+            targets.forEach(b => {
+                b.departures.push(d);
+                if (headway !== null && headway <= MAX_HEADWAY) b.headways.push(headway);
+            });
+        });
+    }
+
+    const byRoute = (a, b) => a.route.localeCompare(b.route, 'en', { numeric: true }) ||
+        a.direction.localeCompare(b.direction) || (a.hour || 0) - (b.hour || 0);
+    const routes = [];
+    const byHour = [];
+    for (const b of buckets.values()) {
+        const entry = Object.assign({ route: b.route, direction: b.direction }, b.hour === undefined ? {} : { hour: b.hour },
+            summarise(b.departures, b.headways, gapMinutes));
+        (b.hour === undefined ? routes : byHour).push(entry);
+    }
+    return { routes: routes.sort(byRoute), hours: byHour.sort(byRoute) };
+}
+
+// History kept in `dir` (or nothing recorded without one)
+function createHistory({ dir, keepDays = 30 } = {}) {
+    // board id -> { station, t, trains: Map(trip|stop -> arrival) } from the
+    // last fetch
+    const seen = new Map();
+    let prunedDay = null;
+
+    function append(kind, ms, records) {
+        if (!dir || !records.length) return;
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.appendFileSync(path.join(dir, `${kind}-${dayOf(ms)}.jsonl`), records.map(r => JSON.stringify(r) + '\n').join(''));
+        } catch (err) {
+            console.error('Error writing history', err && err.message);
+        }
+    }
+
+    // Delete files from before the last keepDays, once a day
+    function prune(now) {
+        const today = dayOf(now);
+        if (!dir || prunedDay === today) return;
+        prunedDay = today;
+        const oldest = dayOf(now - keepDays * 86400000);
+        let files = [];
+        try {
+            files = fs.readdirSync(dir);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error('Error reading history', err && err.message);
+        }
+        for (const file of files) {
+            const m = /^departures-(\d{4}-\d{2}-\d{2})\.jsonl$/.exec(file);
+            if (!m || m[1] >= oldest) continue;
+            try {
+                fs.unlinkSync(path.join(dir, file));
+            } catch (err) {
+                console.error('Error pruning history', file, err && err.message);
+            }
+        }
+    }
+
+    // Note a board's fetch (arrival records from lib/transit.js) and record
+    // the trains that have left since its last one, which are returned.
+    // Fetches more than `maxGap` ms apart (about three polls) can't tell
+    // departures from trains that left while nobody was looking, so nothing
+    // is recorded for them.
+    function record(board, station, arrivals, now = Date.now(), maxGap = 60000) {
+        prune(now);
+        const trains = new Map();
+        arrivals.filter(a => a.trip_id).forEach(a => trains.set(a.trip_id + '|' + a.stop_id, a));
+        const last = seen.get(board);
+        seen.set(board, { station, t: now, trains });
+        if (!last || last.station !== station || now - last.t > maxGap) return [];
+
+        const departed = [];
+        for (const [key, a] of last.trains) {
+            if (trains.has(key) || a.departure_time > now / 1000 + DEPART_WINDOW) continue;
+            departed.push({
+                t: now,
+                board,
+                station,
+                trip: a.trip_id,
+                route: a.route_id,
+                direction: a.direction,
+                stop: a.stop_id,
+                departed: Math.min(a.departure_time, Math.floor(now / 1000)),
+                delay: a.delay
+            });
+        }
+        append('departures', now, departed);
+        return departed;
+    }
+
+    // Departure records from the last `days` days, optionally for one board
+    function departures(days, board, now = Date.now()) {
+        if (!dir) return [];
+        const since = now - days * 86400000;
+        const records = [];
+        for (let ms = since; dayOf(ms) <= dayOf(now); ms += 86400000) {
+            let text;
+            try {
+                text = fs.readFileSync(path.join(dir, `departures-${dayOf(ms)}.jsonl`), 'utf8');
+            } catch (err) {
+                if (err.code !== 'ENOENT') console.error('Error reading history', err && err.message);
+                continue;
+            }
+            for (const line of text.split('\n')) {
+                if (!line) continue;
+                try {
+                    const record = JSON.parse(line);
+                    if (record.t >= since && (!board || record.board === board)) records.push(record);
+                } catch (err) {
+                    // a line cut short by a crash
+                }
+            }
+        }
+        return records;
+    }
+
+    return { keepDays, record, departures };
+}
+
+module.exports = { parseHours, computeStats, createHistory };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Scheduled messages that take over rows of the board, like the holiday
+// banner's message but for any text and time window. A message is
+//   { id, text, start, end, rows, board }
+// with start and end in epoch ms, rows the number of rows it takes from the
+// top of the board (0 for all of them) and board the board id it is for
+// (null for every board). They are kept in a JSON file so they survive a
+// restart, and dropped once they have ended.
+
+const MAX_TEXT = 500;
+
+// Epoch ms from a number or anything Date can parse
+function toTime(value) {
+    if (typeof value === 'number') return value;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+// Build a message from an API request body. `minutes` can stand in for `end`.
+// Returns { message } or { errors }.
+function validateMessage(input, now = Date.now()) {
+    const errors = [];
+    const text = typeof input.text === 'string' ? input.text.trim() : '';
+    if (!text || text.length > MAX_TEXT) errors.push(`text must be 1-${MAX_TEXT} characters`);
+
+    const start = input.start === undefined ? now : toTime(input.start);
+    if (start === null) errors.push('start must be a date or epoch ms');
+    let end = null;
+    if (input.end !== undefined) {
+        end = toTime(input.end);
+        if (end === null) errors.push('end must be a date or epoch ms');
+    } else if (Number(input.minutes) > 0) {
+        end = (start || now) + Number(input.minutes) * 60000;
+    } else {
+        errors.push('end or minutes is required');
+    }
+    if (start !== null && end !== null && end <= start) errors.push('end must be after start');
+    if (end !== null && end <= now) errors.push('end is in the past');
+
+    const rows = input.rows === undefined ? 0 : input.rows;
+    if (!Number.isInteger(rows) || rows < 0 || rows > 100) errors.push('rows must be 0 (all) to 100');
+    const board = input.board === undefined || input.board === null || input.board === '' ? null : String(input.board);
+    if (board !== null && !/^[a-z0-9_-]{1,32}$/i.test(board)) errors.push('board must be a board id');
+
+    if (errors.length) return { errors };
+    return {
+        message: { id: crypto.randomBytes(6).toString('hex'), text, start, end, rows, board }
+    };
+}
+
+// Messages kept in `file` (or only in memory without one)
+function createMessageStore(file) {
+    let messages = [];
+    if (file) {
+        try {
+            messages = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error('Ignoring messages file', file, err && err.message);
+        }
+    }
+
+    function save() {
+        if (!file) return;
+        try {
+            fs.writeFileSync(file, JSON.stringify(messages, null, 2) + '\n');
+        } catch (err) {
+            console.error('Error saving messages', err && err.message);
+        }
+    }
+
+    // Messages that haven't ended, for one board or (without one) all of them
+    function list(boardId, now = Date.now()) {
+        const current = messages.filter(m => m.end > now);
+        if (current.length !== messages.length) {
+            messages = current;
+            save();
+        }
+        if (boardId === undefined) return messages;
+        return messages.filter(m => m.board === null || m.board === boardId);
+    }
+
+    function add(message) {
+        messages.push(message);
+        messages.sort((a, b) => a.start - b.start);
+        save();
+        return message;
+    }
+
+    // Returns whether there was such a message
+    function cancel(id) {
+        const before = messages.length;
+        messages = messages.filter(m => m.id !== id);
+        if (messages.length === before) return false;
+        save();
+        return true;
+    }
+
+    return { list, add, cancel };
+}
+
+module.exports = { validateMessage, createMessageStore };
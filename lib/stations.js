@@ -0,0 +1,163 @@
+// Stations for the picker: the adapter's stops grouped into complexes by
+// parent_id (so 59 St-Columbus Circle is one entry, not A24 and 125), with
+// the routes serving them and the directions trains leave in, plus a
+// forgiving search over them. A complex is
+//   { id, name, names, stops, routes, directions, lat, lon }
+// where id is the parent stop id a board can be set to, names every name its
+// stops go by and directions platform suffixes such as N and S.
+
+// NYC platforms come in pairs, N (uptown and the Bronx) and S (downtown and
+// Brooklyn), so that is assumed when the adapter doesn't say
+const DEFAULT_DIRECTIONS = ['N', 'S'];
+
+const byRoute = (a, b) => a.localeCompare(b, 'en', { numeric: true });
+
+// `stops` are { id, name, lat, lon, parent_id } from adapter.listStations();
+// `service` is the optional { stop_id: { routes, directions } } from
+// adapter.listStationRoutes()
+function buildComplexes(stops, service = {}) {
+    const complexes = new Map();
+    for (const stop of stops) {
+        const id = stop.parent_id || stop.id;
+        if (!complexes.has(id)) {
+            complexes.set(id, { id, name: '', names: [], stops: [], routes: new Set(), directions: new Set(), lats: [], lons: [] });
+        }
+        const complex = complexes.get(id);
+        complex.stops.push(stop.id);
+        if (!complex.names.includes(stop.name)) complex.names.push(stop.name);
+        // the parent stop names the complex
+        if (stop.id === id || !complex.name) complex.name = stop.name;
+        if (Number.isFinite(stop.lat) && Number.isFinite(stop.lon)) {
+            complex.lats.push(stop.lat);
+            complex.lons.push(stop.lon);
+        }
+        const served = service[stop.id] || {};
+        (served.routes || []).forEach(r => complex.routes.add(String(r).toUpperCase()));
+        (served.directions || []).forEach(d => complex.directions.add(d));
+    }
+
+    const mean = values => (values.length ? Number((values.reduce((a, b) => a + b, 0) / values.length).toFixed(6)) : null);
+    return [...complexes.values()].map(c => ({
+        id: c.id,
+        name: c.name,
+        names: c.names,
+        stops: c.stops,
+        routes: [...c.routes].sort(byRoute),
+        directions: c.directions.size ? [...c.directions].sort() : DEFAULT_DIRECTIONS,
+        lat: mean(c.lats),
+        lon: mean(c.lons)
+    }));
+}
+
+// Lower case words with the usual spellings folded together, so "59th
+// Street" finds "59 St" and "Columbus Cir." finds "Columbus Circle"
+function normalize(text) {
+    return String(text || '').toLowerCase()
+        .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+        .replace(/\bstreet\b/g, 'st')
+        .replace(/\bave?(nue)?\b/g, 'av')
+        .replace(/\bsquare\b/g, 'sq')
+        .replace(/\bcir\b/g, 'circle')
+        .replace(/\bcenter\b/g, 'ctr')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Edit distance between two short words
+function distance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+// How well one query word matches: whole word 3, start of a word or a route
+// 2, one typo away 1, no match 0
+function wordScore(token, words, routes) {
+    let best = 0;
+    for (const word of words) {
+        if (word === token) return 3;
+        if (word.startsWith(token)) best = Math.max(best, 2);
+        else if (token.length >= 4 && Math.abs(word.length - token.length) <= 1 && distance(word, token) <= 1) best = Math.max(best, 1);
+    }
+    if (routes.includes(token)) best = Math.max(best, 2);
+    return best;
+}
+
+// Whether the letters of `needle` appear in order in `haystack`
+function isSubsequence(needle, haystack) {
+    let i = 0;
+    for (const ch of haystack) {
+        if (ch === needle[i]) i++;
+        if (i === needle.length) return true;
+    }
+    return needle.length === 0;
+}
+
+// Score a complex against a query, or null if it doesn't match. Stop ids
+// match exactly or from the start; names word by word, with typos and abbreviations allowed;
+// as a last resort the query's letters in order anywhere in the name.
+function scoreComplex(complex, query) {
+    const raw = String(query).trim().toUpperCase();
+    if (complex.id.toUpperCase() === raw) return 100;
+    if (complex.stops.some(id => id.toUpperCase() === raw)) return 90;
+    const idPrefix = raw.length >= 2 && complex.stops.some(id => id.toUpperCase().startsWith(raw));
+
+    const q = normalize(query);
+    const names = complex.names.map(normalize);
+    const words = [].concat(...names.map(n => n.split(' ')));
+    const routes = complex.routes.map(r => r.toLowerCase());
+    const tokens = q.split(' ').filter(Boolean);
+    let score = 0;
+    for (const token of tokens) {
+        const s = wordScore(token, words, routes);
+        if (!s) {
+            if (idPrefix) return 10;
+            // too short a query finds letters in order in nearly every name
+            const compact = q.replace(/ /g, '');
+            if (compact.length < 4) return null;
+            return names.some(n => isSubsequence(compact, n.replace(/ /g, ''))) ? 0.5 : null;
+        }
+        score += s;
+    }
+    if (names.some(n => n.startsWith(q))) score += 5;
+    return score;
+}
+
+// Complexes matching `query`, best first; every complex by name without one
+function searchComplexes(complexes, query, limit = 20) {
+    const byName = (a, b) => a.name.localeCompare(b.name, 'en', { numeric: true });
+    if (!String(query || '').trim()) return complexes.slice().sort(byName).slice(0, limit);
+    return complexes
+        .map(complex => ({ complex, score: scoreComplex(complex, query) }))
+        .filter(m => m.score !== null)
+        .sort((a, b) => b.score - a.score || byName(a.complex, b.complex))
+        .slice(0, limit)
+        .map(m => m.complex);
+}
+
+// Great-circle distance in metres between two points
+function distanceMeters(lat1, lon1, lat2, lon2) {
+    const rad = deg => deg * Math.PI / 180;
+    const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+        Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+// Complexes within `radius` metres of a point, closest first, each with its
+// `distance` in metres
+function nearbyComplexes(complexes, lat, lon, radius = 1000, limit = 10) {
+    return complexes
+        .filter(c => c.lat !== null && c.lon !== null)
+        .map(c => Object.assign({}, c, { distance: Math.round(distanceMeters(lat, lon, c.lat, c.lon)) }))
+        .filter(c => c.distance <= radius)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+}
+
+module.exports = { DEFAULT_DIRECTIONS, buildComplexes, normalize, searchComplexes, distanceMeters, nearbyComplexes };
@@ -0,0 +1,168 @@
+// Helpers shared by every arrivals data source: arrival records, directions
+// and route status from service alerts.
+
+// Board remarks for each GTFS-Realtime Alert.Effect. Severity picks the
+// status to show when a route has several active alerts.
+const EFFECT_STATUS = {
+    NO_SERVICE: { status: 'NO SERVICE', severity: 4 },
+    SIGNIFICANT_DELAYS: { status: 'DELAYS', severity: 3 },
+    REDUCED_SERVICE: { status: 'SERVICE CHANGE', severity: 2 },
+    DETOUR: { status: 'SERVICE CHANGE', severity: 2 },
+    MODIFIED_SERVICE: { status: 'SERVICE CHANGE', severity: 2 },
+    STOP_MOVED: { status: 'SERVICE CHANGE', severity: 2 },
+    OTHER_EFFECT: { status: 'SERVICE CHANGE', severity: 1 },
+    UNKNOWN_EFFECT: { status: 'SERVICE CHANGE', severity: 1 },
+    ADDITIONAL_SERVICE: { status: 'Good Service', severity: 0 },
+    ACCESSIBILITY_ISSUE: { status: 'Good Service', severity: 0 },
+    NO_EFFECT: { status: 'Good Service', severity: 0 }
+};
+const GOOD_SERVICE = EFFECT_STATUS.NO_EFFECT;
+const DISRUPTED_STATUSES = ['NO SERVICE', 'DELAYS', 'SERVICE CHANGE'];
+
+function classify_effect(effect) {
+    return EFFECT_STATUS[String(effect || '').toUpperCase()] || EFFECT_STATUS.UNKNOWN_EFFECT;
+}
+
+// Alert text comes as a list of translations; prefer English
+function pick_translation(translations) {
+    if (!translations) return '';
+    if (typeof translations === 'string') return translations;
+    const list = Array.isArray(translations) ? translations : (translations.translation || []);
+    const match = list.find(t => t.language === 'en') || list.find(t => !t.language) || list[0];
+    return match && match.text ? match.text : '';
+}
+
+// An alert without active periods is always active
+function is_active(periods, nowSeconds) {
+    if (periods.length === 0) return true;
+    return periods.some(p => (!p.start || p.start <= nowSeconds) && (!p.end || nowSeconds < p.end));
+}
+
+// Worst active alert status for each route, 'Good Service' when it has none
+function service_status_from_alerts(route_ids, alerts) {
+    const results = {};
+    for (const route_id of route_ids) {
+        results[route_id] = { status: GOOD_SERVICE.status, severity: GOOD_SERVICE.severity };
+    }
+    for (const alert of alerts) {
+        if (!alert.active) continue;
+        for (const route_id of alert.routes) {
+            const current = results[route_id] || GOOD_SERVICE;
+            if (alert.severity > current.severity) {
+                results[route_id] = { status: alert.status, severity: alert.severity };
+            }
+        }
+    }
+    return results;
+}
+
+// NYC subway platforms are the parent stop id plus N or S
+function get_direction(stop_id) {
+    const match = /[NS]$/i.exec(stop_id || '');
+    return match ? match[0].toUpperCase() : '';
+}
+
+// Whole minutes until a departure (epoch seconds); negative once it has left
+function minutes_until(departureTs, nowSeconds) {
+    return Math.floor((departureTs - nowSeconds) / 60);
+}
+
+// NYC diamond express services are the route id plus X (6X, 7X, FX)
+function is_express(route_id) {
+    return /^[0-9A-Z]X$/i.test(String(route_id || ''));
+}
+
+// Build an arrival record for a departure, or null if the train has already
+// left. Trains leaving this minute get the string '0'. departure_time keeps
+// the absolute time so the countdown can be recomputed later. The trip
+// fields are null when the source doesn't give them: trip_id for
+// /api/trips, delay in seconds behind schedule, track, and express (worked
+// out from the route when not given).
+function make_arrival({ route_id, current_stop, last_stop_name, stop_id, trip_id = null, delay = null, track = null, express }, departureTs, nowSeconds) {
+    const arrival_time = minutes_until(departureTs, nowSeconds);
+    if (arrival_time < 0) return null;
+    return {
+        route_id,
+        arrival_time: arrival_time === 0 ? '0' : arrival_time,
+        departure_time: departureTs,
+        current_stop,
+        last_stop_name,
+        stop_id,
+        direction: get_direction(stop_id),
+        trip_id,
+        delay: Number.isFinite(delay) ? delay : null,
+        track,
+        express: express === undefined ? is_express(route_id) : Boolean(express)
+    };
+}
+
+// Trains at least this many minutes behind schedule are shown as LATE
+const LATE_MINUTES = 2;
+
+// Board remark for a train's own trip: LATE 4 when it is running behind,
+// EXPRESS for an express, otherwise null
+function trip_remark(entry) {
+    const late = Math.round((entry.delay || 0) / 60);
+    if (late >= LATE_MINUTES) return `LATE ${late}`;
+    if (entry.express) return 'EXPRESS';
+    return null;
+}
+
+// Sort arrival records soonest first, in place. By departure_time, since
+// arrival_time is the string '0' for trains leaving now; records without
+// one go last.
+function sort_arrivals(entries) {
+    const key = entry => (typeof entry.departure_time === 'number' ? entry.departure_time : Number.POSITIVE_INFINITY);
+    return entries.sort((a, b) => key(a) - key(b));
+}
+
+// Recompute arrival_time for records fetched earlier, dropping departed trains
+function refresh_arrivals(entries, nowSeconds) {
+    const result = [];
+    for (const entry of entries) {
+        if (typeof entry.departure_time !== 'number') {
+            result.push(entry);
+            continue;
+        }
+        const arrival_time = minutes_until(entry.departure_time, nowSeconds);
+        if (arrival_time < 0) continue;
+        result.push(Object.assign({}, entry, { arrival_time: arrival_time === 0 ? '0' : arrival_time }));
+    }
+    return result;
+}
+
+// "Leave now" advice for a train `minutes` away when the station is
+// `walk_minutes` away on foot: GO NOW in the couple of minutes before it's
+// too late to walk, RUN when only running gets you there (about 60% of the
+// walk), then MISSED. null means there's time to spare, or no walking time
+// is set. public/js/split-flap.js (sf.countdown.leave) mirrors this.
+const GO_NOW_MINUTES = 2;
+const RUN_RATIO = 0.6;
+
+function leave_status(minutes, walk_minutes) {
+    if (!walk_minutes) return null;
+    const m = Number(minutes);
+    if (m >= walk_minutes + GO_NOW_MINUTES) return null;
+    if (m >= walk_minutes) return 'GO NOW';
+    if (m >= Math.ceil(walk_minutes * RUN_RATIO)) return 'RUN';
+    return 'MISSED';
+}
+
+module.exports = {
+    EFFECT_STATUS,
+    GOOD_SERVICE,
+    DISRUPTED_STATUSES,
+    classify_effect,
+    pick_translation,
+    is_active,
+    service_status_from_alerts,
+    get_direction,
+    minutes_until,
+    is_express,
+    make_arrival,
+    LATE_MINUTES,
+    trip_remark,
+    sort_arrivals,
+    refresh_arrivals,
+    leave_status
+};
@@ -0,0 +1,18 @@
+const fs = require('fs');
+const { normalize } = require('./open-meteo');
+
+// Weather from a local JSON file, for displays without internet access.
+// The file can be an Open-Meteo response (e.g. saved with curl by another
+// machine) or already in the /api/weather shape.
+//   file  path to the JSON file; it is read on every request
+function createFileProvider(options = {}) {
+    async function fetchWeather() {
+        if (!options.file) throw new Error('No weather file configured');
+        const data = JSON.parse(await fs.promises.readFile(options.file, 'utf8'));
+        return data.current ? normalize(data) : data;
+    }
+
+    return { name: 'file', fetchWeather };
+}
+
+module.exports = { createFileProvider };
@@ -0,0 +1,33 @@
+const { createOpenMeteoProvider } = require('./open-meteo');
+const { createFileProvider } = require('./file');
+const { createStubProvider } = require('./stub');
+
+// Weather providers for /api/weather. A provider is created from an options
+// object and provides:
+//   fetchWeather(location)  current conditions for { latitude, longitude,
+//                           temperatureUnit, precipitationUnit, timezone }
+//                           in the shape described in open-meteo.js
+// Pick one with weather.provider in the config.
+const providers = {
+    'open-meteo': createOpenMeteoProvider,
+    file: createFileProvider,
+    stub: createStubProvider
+};
+
+function registerWeatherProvider(name, factory) {
+    providers[name] = factory;
+}
+
+function hasWeatherProvider(name) {
+    return Object.prototype.hasOwnProperty.call(providers, name);
+}
+
+function createWeatherProvider(name, options) {
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown weather provider "${name}" (available: ${Object.keys(providers).join(', ')})`);
+    }
+    return factory(options || {});
+}
+
+module.exports = { registerWeatherProvider, hasWeatherProvider, createWeatherProvider };
@@ -0,0 +1,92 @@
+const fetch = require('node-fetch');
+const { createCache } = require('../cache');
+
+const BASE_URL = 'https://api.open-meteo.com/v1/forecast';
+
+// How many hours of forecast /api/weather returns, from the current hour
+const FORECAST_HOURS = 24;
+
+// Hourly forecast from the current hour on: { time, temperature,
+// precipitationProbability, precipitation, weatherCode }. Times are local
+// to the location, like current.time.
+function normalizeHourly(hourly, now) {
+    const times = hourly.time || [];
+    const pick = (name, i) => (hourly[name] ? hourly[name][i] : null);
+    const hours = times.map((time, i) => ({
+        time,
+        temperature: pick('temperature_2m', i),
+        precipitationProbability: pick('precipitation_probability', i),
+        precipitation: pick('precipitation', i),
+        weatherCode: pick('weather_code', i)
+    }));
+    const thisHour = String(now || '').slice(0, 13);
+    const start = Math.max(0, hours.findIndex(h => h.time.slice(0, 13) >= thisHour));
+    return hours.slice(start, start + FORECAST_HOURS);
+}
+
+// Flatten an Open-Meteo forecast response into the /api/weather shape:
+//   temperature, humidity, precipitation, rain, showers, snowfall,
+//   weatherCode, cloudCover, time   current conditions
+//   precipitationProbability        chance of precipitation this hour (%)
+//   high, low                       today's forecast
+//   hourly                          the next 24 hours (see normalizeHourly)
+//   temperatureUnit, precipitationUnit, latitude, longitude, timezone
+function normalize(data) {
+    if (data.error) throw new Error(`Open-Meteo error: ${data.reason}`);
+    const current = data.current || {};
+    const units = data.current_units || {};
+    const daily = data.daily || {};
+    const hourly = normalizeHourly(data.hourly || {}, current.time);
+    return {
+        temperature: current.temperature_2m,
+        humidity: current.relative_humidity_2m,
+        precipitation: current.precipitation,
+        rain: current.rain,
+        showers: current.showers,
+        snowfall: current.snowfall,
+        weatherCode: current.weather_code,
+        cloudCover: current.cloud_cover,
+        time: current.time,
+        precipitationProbability: hourly.length ? hourly[0].precipitationProbability : null,
+        high: daily.temperature_2m_max ? daily.temperature_2m_max[0] : null,
+        low: daily.temperature_2m_min ? daily.temperature_2m_min[0] : null,
+        hourly,
+        temperatureUnit: units.temperature_2m || '°C',
+        precipitationUnit: units.precipitation || 'mm',
+        latitude: data.latitude,
+        longitude: data.longitude,
+        timezone: data.timezone
+    };
+}
+
+// Weather from the Open-Meteo forecast API (no key needed).
+//   cacheMs  how long a forecast is reused; displays all share it
+function createOpenMeteoProvider(options = {}) {
+    const cacheMs = options.cacheMs || 10 * 60 * 1000;
+    // a forecast a few hours old beats none while the API is unreachable
+    const cache = createCache({ maxStaleMs: 3 * 60 * 60 * 1000 });
+
+    async function fetchWeather(location) {
+        const params = new URLSearchParams({
+            latitude: location.latitude,
+            longitude: location.longitude,
+            current: 'temperature_2m,relative_humidity_2m,precipitation,rain,showers,snowfall,weather_code,cloud_cover',
+            hourly: 'temperature_2m,precipitation_probability,precipitation,weather_code',
+            daily: 'temperature_2m_max,temperature_2m_min',
+            forecast_days: 2, // enough hours for tomorrow morning's commute
+            temperature_unit: location.temperatureUnit || 'celsius',
+            precipitation_unit: location.precipitationUnit || 'mm',
+            timezone: location.timezone || 'GMT'
+        });
+        const url = `${BASE_URL}?${params.toString()}`;
+        return cache.get(url, cacheMs, async () => {
+            const resp = await fetch(url, { timeout: 10000 });
+            if (!resp.ok) throw new Error(`HTTP ${resp.status} from Open-Meteo`);
+            return normalize(await resp.json());
+        });
+    }
+
+    return { name: 'open-meteo', fetchWeather };
+}
+
+module.exports = { normalize, createOpenMeteoProvider };
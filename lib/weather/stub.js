@@ -0,0 +1,49 @@
+// 'YYYY-MM-DDTHH:MM' in the server's time zone, as Open-Meteo gives times
+function localTime(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Fixed weather, for tests and for trying the board out offline.
+//   weather  fields to override in the canned reading
+function createStubProvider(options = {}) {
+    async function fetchWeather(location = {}) {
+        const fahrenheit = location.temperatureUnit === 'fahrenheit';
+        const now = new Date();
+        const hourly = [];
+        for (let i = 0; i < 24; i++) {
+            const hour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours() + i);
+            hourly.push({
+                time: localTime(hour).slice(0, 13) + ':00',
+                temperature: fahrenheit ? 68 : 20,
+                precipitationProbability: 10,
+                precipitation: 0,
+                weatherCode: 1
+            });
+        }
+        return Object.assign({
+            temperature: fahrenheit ? 68 : 20,
+            humidity: 50,
+            precipitation: 0,
+            rain: 0,
+            showers: 0,
+            snowfall: 0,
+            weatherCode: 1,
+            cloudCover: 20,
+            time: localTime(now),
+            precipitationProbability: 10,
+            high: fahrenheit ? 72 : 22,
+            low: fahrenheit ? 59 : 15,
+            hourly,
+            temperatureUnit: fahrenheit ? '°F' : '°C',
+            precipitationUnit: location.precipitationUnit === 'inch' ? 'inch' : 'mm',
+            latitude: location.latitude,
+            longitude: location.longitude,
+            timezone: location.timezone || 'GMT'
+        }, options.weather);
+    }
+
+    return { name: 'stub', fetchWeather };
+}
+
+module.exports = { createStubProvider };
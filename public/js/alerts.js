@@ -0,0 +1,91 @@
+/* global $ _ sf items */
+
+// Service alert row: one split-flap row under the arrivals that cycles
+// through the active alerts for the routes currently on the board.
+sf.alerts = (function() {
+  const api = {
+    url: 'api/alerts',
+    width: 42, // number of character cells in the row
+    pageInterval: 8000, // how long each line of alert text stays up (ms)
+    _row: null,
+    _pages: [],
+    _page: 0,
+    _timer: null,
+    _pushed: null, // active alerts from the event stream, once it sends some
+
+    init: function(options) {
+      const settings = _.extend({ enabled: true }, options.alerts);
+      if (!settings.enabled || this._row) return;
+      this.width = settings.width || this.width;
+      this.pageInterval = settings.pageInterval || this.pageInterval;
+
+      const cells = new Array(this.width + 1).join('<div class="full"><span></span></div>');
+      this._row = $(
+        '<div class="alert-row">' +
+          '<div class="group line"><div class="image"><span></span></div></div>' +
+          '<div class="group alert">' + cells + '</div>' +
+        '</div>'
+      );
+      options.container.append(this._row);
+      sf.display.initRow(this._row);
+
+      // refresh alongside the arrivals so the routes stay in step
+      items.on('sync reset', () => this.load());
+      $(window).on('sf:alerts', (e, data) => this.receive(data.alerts || []));
+      this.load();
+    },
+
+    // Routes on the board right now
+    routes: function() {
+      return _.uniq(items.pluck('line').map(line => String(line).toUpperCase())).filter(Boolean);
+    },
+
+    load: function() {
+      const routes = this.routes();
+      if (routes.length === 0) return this.show([]);
+      if (this._pushed) {
+        const pushed = this._pushed.filter(alert =>
+          _.some(alert.routes, r => _.contains(routes, String(r).toUpperCase())));
+        return this.show(pushed, routes);
+      }
+      $.get(this.url, { routes: routes.join(',') })
+        .done(response => this.show(response.alerts || [], routes))
+        .fail(() => console.warn('Could not load alerts'));
+    },
+
+    // Alerts pushed by the event stream replace the per-sync request
+    receive: function(alerts) {
+      this._pushed = alerts;
+      this.load();
+    },
+
+    // Break every alert into row-sized pages, each tagged with the
+    // displayed route it concerns, and restart the cycle
+    show: function(alerts, routes) {
+      const pages = [];
+      alerts.forEach(alert => {
+        const line = _.find(alert.routes, r => _.contains(routes, String(r).toUpperCase())) || ' ';
+        sf.display.wrap(alert.header || alert.status, this.width).forEach(text => {
+          pages.push({ line: String(line), text });
+        });
+      });
+      this._pages = pages;
+      this._page = 0;
+      if (this._timer) clearTimeout(this._timer);
+      this._timer = null;
+      this.cycle();
+    },
+
+    cycle: function() {
+      const page = this._pages[this._page] || { line: ' ', text: ' ' };
+      sf.display.loadGroup(page.line, this._row.find('.group.line'));
+      sf.display.loadGroup(page.text, this._row.find('.group.alert'));
+      if (this._pages.length > 1) {
+        this._page = (this._page + 1) % this._pages.length;
+        this._timer = setTimeout(() => this.cycle(), this.pageInterval);
+      }
+    }
+  };
+
+  return api;
+})();
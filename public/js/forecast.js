@@ -0,0 +1,43 @@
+/* global $ _ sf weather */
+
+// Forecast row: one split-flap row under the arrivals with what the weather
+// is doing next ("RAIN STARTS 5PM") and, when rain or snow is due during the
+// next commute window, TAKE AN UMBRELLA in the remarks.
+sf.forecast = (function() {
+  const api = {
+    width: 24, // character cells for the forecast
+    remarksWidth: 16, // character cells for the remarks
+    hours: 12, // how far ahead the forecast looks
+    commutes: [], // [{ start: 'HH:MM', end: 'HH:MM' }], from the config
+    _row: null,
+
+    init: function(options) {
+      const settings = _.extend({ enabled: true }, options.forecast);
+      if (!settings.enabled || this._row) return;
+      this.width = settings.width || this.width;
+      this.remarksWidth = settings.remarksWidth || this.remarksWidth;
+      this.hours = settings.hours || this.hours;
+
+      const cells = count => new Array(count + 1).join('<div class="full"><span></span></div>');
+      this._row = $(
+        '<div class="forecast-row">' +
+          '<div class="group forecast">' + cells(this.width) + '</div>' +
+          '<div class="group remarks">' + cells(this.remarksWidth) + '</div>' +
+        '</div>'
+      );
+      options.container.append(this._row);
+      sf.display.initRow(this._row);
+    },
+
+    // Called with each weather update (see updateWeather in index.html)
+    show: function(data) {
+      if (!this._row) return;
+      const text = weather.forecastSummary(data, this.hours) || ' ';
+      const remarks = weather.needsUmbrella(data, this.commutes) ? 'TAKE AN UMBRELLA' : ' ';
+      sf.display.loadGroup(text.slice(0, this.width), this._row.find('.group.forecast'));
+      sf.display.loadGroup(remarks.slice(0, this.remarksWidth), this._row.find('.group.remarks'));
+    }
+  };
+
+  return api;
+})();
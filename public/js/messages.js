@@ -0,0 +1,90 @@
+/* global $ _ sf items */
+
+// Scheduled messages (see /api/messages): while one is on, it takes over
+// rows from the top of the board and the arrivals carry on in the rows
+// below. The text is wrapped through the `full` groups of each row, left
+// to right and then down.
+sf.messages = (function() {
+  const api = {
+    checkInterval: 5000, // how often to look for messages starting or ending (ms)
+    offset: 0, // server's real clock minus browser clock (ms), set by the plugin
+    _options: null,
+    _scheduled: [],
+    _showing: '',
+
+    init: function(options) {
+      this._options = options;
+      setInterval(() => this.check(), this.checkInterval);
+      this.check();
+    },
+
+    // Called by the plugin with the messages from each arrivals response
+    schedule: function(messages) {
+      this._scheduled = messages || [];
+      this.check();
+    },
+
+    // Messages on right now, by the server's real clock (not the simulated
+    // one the countdowns follow)
+    active: function() {
+      const now = Date.now() + this.offset;
+      return this._scheduled.filter(m => m.start <= now && now < m.end);
+    },
+
+    check: function() {
+      if (!this._options) return;
+      const active = this.active();
+      const showing = _.pluck(active, 'id').join(',');
+      if (showing === this._showing) return;
+      this._showing = showing;
+      this.show(active);
+    },
+
+    // Split text into lines for groups of the given widths, wrapped as
+    // sf.display.wrap() does for the alert row
+    fit: function(text, widths) {
+      let rest = String(text || '').split(/\s+/).filter(Boolean).join(' ');
+      return widths.map(width => {
+        // the first line is always the start of what is left
+        const line = sf.display.wrap(rest, width)[0] || '';
+        rest = rest.slice(line.length).trim();
+        return line;
+      });
+    },
+
+    show: function(messages) {
+      const options = this._options;
+      const rows = options.container.find('.row');
+
+      // hand back the rows of messages that have ended
+      rows.filter('.message').each((i, row) => {
+        $(row).removeClass('message');
+        sf.board.clearRow(row);
+      });
+
+      let next = 0;
+      messages.forEach(message => {
+        const count = Math.min(message.rows || rows.length, rows.length - next);
+        const taken = rows.slice(next, next + count);
+        next += count;
+        taken.addClass('message').removeData('item');
+
+        const slots = [];
+        taken.find('.group').each((i, group) => {
+          if ($(group).find('.full').length) {
+            slots.push($(group));
+          } else {
+            sf.display.loadGroup(' ', $(group));
+          }
+        });
+        const lines = this.fit(message.text, slots.map(group => group.find('.full').length));
+        slots.forEach((group, i) => sf.display.loadGroup(lines[i] || ' ', group));
+      });
+
+      // lay the arrivals out again around the rows that changed
+      if (items._done) items.paginate(options, items._done);
+    }
+  };
+
+  return api;
+})();
@@ -4,38 +4,40 @@
 // Home Sweet Global Namespace
 var sf = {};
 
-// Minimal audio helper: play a short pulsed loop for a duration (default 3s)
+// Board sounds: a click for every flap, cut from the recording in
+// public/audio, and the leave-now chime. Clicks are rate limited across all
+// the cells; the ones skipped make the next click louder, so a full refresh
+// sounds like a real board without thousands of voices. Volume, quiet hours
+// and a mute schedule come from the config (see configure()).
 sf.audio = (function() {
   const api = {
-    enabled: true,
-    src: '/audio/splitflap.mp3',
+    enabled: true, // the Sound checkbox
+    volume: 0.5, // 0-1
+    quietStart: '', // 'HH:MM' display time the quiet hours start, '' for none
+    quietEnd: '',
+    quietVolume: 0.15, // volume during the quiet hours
+    mute: [], // [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }], days 0 = Sunday
+    maxClicksPerSecond: 60,
+    src: '/audio/splitflap.mp3', // the recording the clicks are cut from
     _ctx: null,
-    _buffer: null,
-    _gain: null,
-    _pulseSource: null,
-    _pulseTimer: null,
-    pulseDurationMs: 5000,
-    _fadeDurationMs: 400,
-
-    init: async function() {
+    _master: null,
+    _clicks: [],
+    _lastClick: 0,
+    _skipped: 0,
+    _level: 0.5,
+
+    init: function() {
       if (this._ctx) return;
       const AudioContext = window.AudioContext || window.webkitAudioContext;
       if (!AudioContext) return;
       try {
         this._ctx = new AudioContext();
-        this._gain = this._ctx.createGain();
-        this._gain.gain.value = 0.12;
-        this._gain.connect(this._ctx.destination);
-
-        const resp = await fetch(this.src);
-        const ab = await resp.arrayBuffer();
-        try {
-          this._buffer = await this._ctx.decodeAudioData(ab);
-        } catch (e) {
-          this._buffer = await new Promise((resolve, reject) => {
-            this._ctx.decodeAudioData(ab, resolve, reject);
-          });
-        }
+        this._master = this._ctx.createGain();
+        this._master.connect(this._ctx.destination);
+        this.loadClicks();
+        this.update();
+        // the level changes as quiet hours and mute windows come and go
+        setInterval(() => this.update(), 30000);
 
         // Resume on first gesture if browser blocks autoplay
         const resume = async () => {
@@ -50,58 +52,128 @@ sf.audio = (function() {
       }
     },
 
-    // Play a looping pulse for `durationMs`, then fade out and stop
-    pulse: async function(durationMs) {
-      durationMs = typeof durationMs === 'number' ? durationMs : this.pulseDurationMs;
-      try {
-        await this.init();
-        if (!this._ctx || !this._buffer || !this._gain) return;
-        if (this._ctx.state === 'suspended') {
-          try { await this._ctx.resume(); } catch (e) {}
-        }
+    // Settings from the config's `sound` block
+    configure: function(settings) {
+      _.extend(this, _.pick(settings || {}, 'volume', 'quietStart', 'quietEnd', 'quietVolume', 'mute'));
+      this.update();
+    },
 
-        // clear existing pulse if present
-        if (this._pulseTimer) {
-          clearTimeout(this._pulseTimer);
-          this._pulseTimer = null;
-        }
+    // Whether `date` falls in start-end ('HH:MM'; windows may run past midnight)
+    inWindow: function(date, start, end) {
+      if (!start || !end) return false;
+      const minutes = t => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5));
+      const now = date.getHours() * 60 + date.getMinutes();
+      const from = minutes(start);
+      const to = minutes(end);
+      return from <= to ? now >= from && now < to : now >= from || now < to;
+    },
+
+    // The volume right now: none when switched off or muted, quieter in the
+    // quiet hours
+    level: function(date) {
+      date = date || new Date();
+      if (!this.enabled) return 0;
+      const muted = (this.mute || []).some(m => {
+        // a window past midnight belongs to the day it started
+        const overnight = m.start > m.end && this.inWindow(date, '00:00', m.end);
+        const day = (date.getDay() + (overnight ? 6 : 0)) % 7;
+        return _.contains(m.days, day) && this.inWindow(date, m.start, m.end);
+      });
+      if (muted) return 0;
+      return this.inWindow(date, this.quietStart, this.quietEnd) ? this.quietVolume : this.volume;
+    },
 
-        if (!this._pulseSource) {
-          const src = this._ctx.createBufferSource();
-          src.buffer = this._buffer;
-          src.loop = true;
-          src.connect(this._gain);
-          try { src.start(0); } catch (e) {}
-          this._pulseSource = src;
+    update: function() {
+      this._level = this.level();
+      if (this._master) this._master.gain.value = this._level;
+    },
+
+    // Fetch and decode the recording, then cut the clicks from it. The
+    // board stays silent until it has loaded.
+    loadClicks: function() {
+      fetch(this.src)
+        .then(resp => resp.arrayBuffer())
+        .then(ab => new Promise((resolve, reject) => this._ctx.decodeAudioData(ab, resolve, reject)))
+        .then(buffer => {
+          this._clicks = this.sliceClicks(buffer, 8);
+        })
+        .catch(e => console.warn('Could not load ' + this.src, e));
+    },
+
+    // The `count` loudest flaps in `buffer`, at least 50 ms apart, as 30 ms
+    // slices with a faded tail. Several are played at random so repeated
+    // clicks don't sound mechanical.
+    sliceClicks: function(buffer, count) {
+      const rate = buffer.sampleRate;
+      const data = buffer.getChannelData(0);
+      const length = Math.floor(rate * 0.03);
+      const lead = Math.floor(rate * 0.002); // keep the start of each flap
+      const step = Math.floor(rate * 0.005);
+      const peaks = [];
+      for (let i = lead; i + length < data.length; i += step) {
+        let peak = 0;
+        for (let j = i; j < i + step; j++) peak = Math.max(peak, Math.abs(data[j]));
+        peaks.push({ at: i, peak: peak });
+      }
+      const starts = [];
+      _.sortBy(peaks, p => -p.peak).forEach(p => {
+        if (starts.length < count && starts.every(s => Math.abs(s - p.at) >= rate * 0.05)) starts.push(p.at);
+      });
+      return starts.map(at => {
+        const click = this._ctx.createBuffer(1, length, rate);
+        const out = click.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+          out[i] = data[at - lead + i] * Math.min(1, (length - i) / (length * 0.3));
         }
+        return click;
+      });
+    },
 
-        // restore gain quickly
-        try { this._gain.gain.cancelScheduledValues(this._ctx.currentTime); } catch (e) {}
-        try { this._gain.gain.setValueAtTime(0.12, this._ctx.currentTime); } catch (e) {}
-
-        // schedule fade out to start AFTER the requested duration, then stop after fade
-        const fadeMs = this._fadeDurationMs;
-        const stopAfter = Math.max(0, durationMs); // ms to play at full volume
-        // start fade only after the full-duration has elapsed
-        const fadeStartSec = this._ctx.currentTime + (stopAfter / 1000);
-        try {
-          this._gain.gain.cancelScheduledValues(this._ctx.currentTime);
-          this._gain.gain.setValueAtTime(this._gain.gain.value || 0.12, this._ctx.currentTime);
-          this._gain.gain.linearRampToValueAtTime(0, fadeStartSec + (fadeMs / 1000));
-        } catch (e) {}
-
-        const self = this;
-        // stop after the duration plus fade time (plus a small buffer)
-        this._pulseTimer = setTimeout(() => {
-          try {
-            if (self._pulseSource) {
-              try { self._pulseSource.stop(0); } catch (e) {}
-              try { self._pulseSource.disconnect(); } catch (e) {}
-              self._pulseSource = null;
-            }
-          } catch (e) {}
-          if (self._pulseTimer) { clearTimeout(self._pulseTimer); self._pulseTimer = null; }
-        }, stopAfter + fadeMs + 50);
+    // Called by sf.flap for every flap that falls
+    flip: function() {
+      if (!this._ctx || !this._clicks.length || this._level === 0 || this._ctx.state !== 'running') return;
+      const now = this._ctx.currentTime;
+      if (now - this._lastClick < 1 / this.maxClicksPerSecond) {
+        this._skipped++;
+        return;
+      }
+      const src = this._ctx.createBufferSource();
+      const gain = this._ctx.createGain();
+      src.buffer = this._clicks[Math.floor(Math.random() * this._clicks.length)];
+      src.playbackRate.value = 0.9 + Math.random() * 0.2;
+      // louder the more flaps fell since the last click, up to full
+      gain.gain.value = Math.min(1, 0.35 + 0.15 * Math.log2(1 + this._skipped));
+      src.connect(gain);
+      gain.connect(this._master);
+      src.start(now);
+      this._lastClick = now;
+      this._skipped = 0;
+    },
+
+    // Two-note station chime, synthesized so it needs no sample
+    chime: async function() {
+      if (!this.enabled) return;
+      try {
+        this.init();
+        if (!this._ctx) return;
+        if (this._ctx.state === 'suspended') {
+          try { await this._ctx.resume(); } catch (e) {}
+        }
+        const start = this._ctx.currentTime;
+        [659.25, 523.25].forEach((freq, i) => { // E5 then C5
+          const osc = this._ctx.createOscillator();
+          const gain = this._ctx.createGain();
+          const at = start + i * 0.45;
+          osc.type = 'sine';
+          osc.frequency.value = freq;
+          gain.gain.setValueAtTime(0.0001, at);
+          gain.gain.exponentialRampToValueAtTime(0.5, at + 0.02);
+          gain.gain.exponentialRampToValueAtTime(0.0001, at + 1.2);
+          osc.connect(gain);
+          gain.connect(this._master);
+          osc.start(at);
+          osc.stop(at + 1.25);
+        });
       } catch (e) {
         // ignore
       }
@@ -153,13 +225,70 @@ sf.Board = Backbone.View.extend({
 sf.board = {
   // Generate the markup for and initialize a blank board
   init: options => {
+    sf.themes.apply(options.theme);
+    sf.flap.flipMs = options.flipSpeed || sf.flap.flipMs;
     let board = new sf.Board();
     board.el = options.container;
-    board.template = _.template(options.template.html());
+    const columns = sf.layouts.columns(options);
+    if (columns) {
+      board.template = _.constant(sf.board.rowMarkup(columns));
+      sf.board.renderHeaders(columns, options.container);
+    } else {
+      board.template = _.template(options.template.html());
+    }
     sf.options.numRows = sf.options.numRows ? sf.options.numRows : 5; // default 12 rows
     board.render();
   },
 
+  // On-screen width in px of each drum type; see .full, .image etc. in the
+  // css. The character drums are sized by the theme (sf.themes.apply).
+  cellWidths: {
+    full: 30,
+    character: 30,
+    number: 30,
+    image: 120,
+    status: 56
+  },
+
+  /**
+   * Build the markup for one row from the column schema in sf.options.columns
+   * @param {object[]} columns Each { key, drum, width, align }. key is the
+   *   data field, drum is 'full', 'character', 'number', 'image' or 'status',
+   *   width is the number of characters and align is 'left', 'right' or 'center'.
+   * @returns {string} The row's HTML
+   */
+  rowMarkup: columns => {
+    const groups = columns.map(column => {
+      let cells;
+      if (column.drum === 'status') {
+        cells = '<div class="sA"></div><div class="sB"></div>';
+      } else if (column.drum === 'image') {
+        cells = '<div class="image"><span></span></div>';
+      } else {
+        const cell = '<div class="' + column.drum + '"><span></span></div>';
+        cells = new Array((column.width || 1) + 1).join(cell);
+      }
+      // loadRow() reads the data key from the group's second class
+      const classes = 'group ' + column.key + (column.drum === 'status' && column.key !== 'status' ? ' status' : '');
+      const flipMs = column.flipSpeed ? ' data-flip-ms="' + column.flipSpeed + '"' : '';
+      return '<div class="' + classes + '" data-align="' + (column.align || 'left') + '"' + flipMs + '>' + cells + '</div>';
+    });
+    return '<div class="row">' + groups.join('') + '</div>';
+  },
+
+  // Column headings, sized to line up with the groups below them
+  renderHeaders: (columns, container) => {
+    container.find('.header').remove();
+    const headers = columns.map(column => {
+      const cells = column.drum === 'image' || column.drum === 'status' ? 1 : column.width || 1;
+      const width = cells * sf.board.cellWidths[column.drum] - 5; // less the last cell's margin
+      return $('<div class="header">')
+        .text(column.label || '')
+        .css({ width: width + 'px', marginRight: '35px', textAlign: column.align || 'left' });
+    });
+    container.append(headers);
+  },
+
   // Utility method to reset the board.
   // It goes through every group in every row,
   // calling loadGroup() with an empty string.
@@ -205,58 +334,41 @@ sf.Items = Backbone.Collection.extend({
   console.log('Fetching Data', items.url);
   // audio on station change only
     this.fetch({
-      success: function(response) {
-        const results = response.toJSON(),
-          numRows = options.numRows,
-          maxResults = options.maxResults || options.numRows,
-          numResults =
-            results.length <= maxResults ? results.length : maxResults,
-          numPages = Math.ceil(numResults / numRows),
-          pageInterval = options.pageInterval || 30000;
-
-        let i = 0,
-          page = 0;
-
-        // Load initial results
-        sf.display.loadSequentially(
-          results.slice(i, i + numRows),
-          options.container
-        );
-        i += numRows;
-        page++;
-        // This recursive function loops through the results by page
-        // After it's finished the last page it updates the items
-        // and renders a new page.
-        function paginate() {
-          setTimeout(() => {
-            sf.display.loadSequentially(
-              results.slice(i, i + numRows),
-              options.container
-            );
-            i += numRows;
-            page++;
-            if (page < numPages) {
-              paginate(i);
-            } else {
-              setTimeout(() => {
-                items.update(options);
-              }, pageInterval);
-            }
-          }, pageInterval);
-        }
-
-        // Paginate if necessary
-        if (page < numPages) {
-          paginate();
-        } else {
-          // sequence finished for this update cycle
-          setTimeout(() => {
-            items.update(options);
-          }, pageInterval);
-        }
+      success: () => {
+        // a connected stream has taken over; it keeps the pages going
+        if (sf.stream.connected) return sf.stream.paginate(options);
+        this.paginate(options, () => {
+          items.update(options);
+        });
       }
     });
   },
+
+  // Show the current results page by page, then call done() after the
+  // last page has been up for options.pageInterval. Starting again cancels
+  // the previous run, so a push or a fetch can restart it at any time.
+  // Pages are made of whole groups of rows (see sf.layouts).
+  paginate: function(options, done) {
+    const results = this.toJSON().slice(0, options.maxResults || options.numRows),
+      // rows taken over by a scheduled message (sf.messages) are skipped
+      numRows = sf.display.rows(options.container).length,
+      pages = sf.layouts.pages(sf.layouts.groups(results, options), numRows),
+      pageInterval = options.pageInterval || 30000;
+
+    let page = 0;
+
+    clearTimeout(this._pageTimer);
+    this._done = done; // so the pages can be laid out again
+
+    // Show each page in turn; after the last one call done()
+    const show = () => {
+      sf.display.loadSequentially(pages[page], options.container);
+      page++;
+      this._pageTimer = setTimeout(page < pages.length ? show : done, pageInterval);
+    };
+    show();
+    this.numPages = pages.length;
+  },
   parse: function(json) {
     return sf.plugins[sf.options.plugin].formatData(json); // normalize this data
   }
@@ -291,9 +403,14 @@ sf.Items = Backbone.Collection.extend({
     }
   },
 
-  // Get the initial data and load the chart
+  // Get the initial data and load the chart, from the plugin's
+  // event stream when it has one, otherwise by polling
   load: options => {
-    items.update(options);
+    if (options.stream && sf.plugins[options.plugin].streamUrl && window.EventSource) {
+      sf.stream.connect(options);
+    } else {
+      items.update(options);
+    }
   }
 }),
   /* ********************************************************************* */
@@ -301,98 +418,16 @@ sf.Items = Backbone.Collection.extend({
 
   (sf.display = {
     // DRUM ARRAYS
-    // These contain the character sets for each drum. Each position represents
-    // a character and when prepended by "c" gives the class name which will
-    // be applied to display that character.
+    // The character sets for each drum, in flip order, from the current
+    // theme (see sf.themes). Each cell gets its own copy, which it rotates.
     FullDrum: function() {
-      return [
-        ' ',
-        'A',
-        'B',
-        'C',
-        'D',
-        'E',
-        'F',
-        'G',
-        'H',
-        'I',
-        'J',
-        'K',
-        'L',
-        'M',
-        'N',
-        'O',
-        'P',
-        'Q',
-        'R',
-        'S',
-        'T',
-        'U',
-        'V',
-        'W',
-        'X',
-        'Y',
-        'Z',
-        '0',
-        '1',
-        '2',
-        '3',
-        '4',
-        '5',
-        '6',
-        '7',
-        '8',
-        '9',
-        '.',
-        ',',
-        '?',
-        '!',
-        '/',
-        "'",
-        '+',
-        '-',
-        ':',
-        '@',
-        '#',
-        '↑',
-        '↓'
-      ];
+      return sf.themes._drums.full.slice();
     },
     CharDrum: function() {
-      return [
-        ' ',
-        'A',
-        'B',
-        'C',
-        'D',
-        'E',
-        'F',
-        'G',
-        'H',
-        'I',
-        'J',
-        'K',
-        'L',
-        'M',
-        'N',
-        'O',
-        'P',
-        'Q',
-        'R',
-        'S',
-        'T',
-        'U',
-        'V',
-        'W',
-        'X',
-        'Y',
-        'Z',
-        '.',
-        ','
-      ];
+      return sf.themes._drums.character.slice();
     },
     NumDrum: function() {
-      return [' ', '0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', ','];
+      return sf.themes._drums.number.slice();
     },
     ImageDrum: function() {
       return []; // Intentionally empty here. Override in plugins/<plugin_name>/custom.js
@@ -421,10 +456,16 @@ sf.Items = Backbone.Collection.extend({
       });
     },
 
+    // The rows available to data: all of them except any taken over by a
+    // scheduled message
+    rows: container => container.find('.row').not('.message'),
+
     loadSequentially: (input, container) => {
-      const rows = container.find('.row'),
+      const rows = sf.display.rows(container),
         stagger = sf.options.stagger ? sf.options.stagger : 1000;
       let i = 0;
+      // remember what's on the board for sf.countdown
+      sf.display.page = input;
       function loop() {
         setTimeout(function() {
           if (input[i]) {
@@ -446,6 +487,42 @@ sf.Items = Backbone.Collection.extend({
       loop();
     },
 
+    /**
+     * Word-wrap a string into lines that fit a group of display elements.
+     * Words longer than a line are broken across lines.
+     * @param {string} text The text to wrap
+     * @param {number} width Number of characters per line
+     * @returns {string[]} The wrapped lines
+     */
+    wrap: (text, width) => {
+      const lines = [];
+      let line = '';
+      String(text || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach(word => {
+          while (word.length > width) {
+            if (line) {
+              lines.push(line);
+              line = '';
+            }
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+          }
+          if (!word) return;
+          if (!line) {
+            line = word;
+          } else if (line.length + 1 + word.length <= width) {
+            line += ' ' + word;
+          } else {
+            lines.push(line);
+            line = word;
+          }
+        });
+      if (line) lines.push(line);
+      return lines;
+    },
+
     /**
      * Load the data for a row
      * @param {object} data The JSON for this row
@@ -468,6 +545,7 @@ sf.Items = Backbone.Collection.extend({
         // Put that value into the group's data store
         $(groups[group]).data('contents', d);
       });
+      row.data('item', data);
     },
 
     /**
@@ -496,6 +574,13 @@ sf.Items = Backbone.Collection.extend({
         // otherwise, this group is composed of split-flap character or number elements
       } else {
         input = input.toUpperCase();
+        // right or center align within the group (sf.options.columns)
+        const pad = strLen - input.length;
+        if (pad > 0 && target.data('align') === 'right') {
+          input = ' '.repeat(pad) + input;
+        } else if (pad > 0 && target.data('align') === 'center') {
+          input = ' '.repeat(Math.floor(pad / 2)) + input;
+        }
         let characters = input.split('');
         // get individual characters and pad the array
         // with spaces (to clear any existing characters)
@@ -525,83 +610,509 @@ sf.Items = Backbone.Collection.extend({
       let values = container.data('order');
       // how many times do we need to increment the drum?
       let index = values.indexOf(c);
-      // set it to blank if character is missing from drum
+      // try without accents (É as E) if the theme doesn't have the character,
+      // and set it to blank if that isn't there either
+      if (index === -1 && isChar) {
+        index = values.indexOf(c.normalize('NFD').replace(/[\u0300-\u036f]/g, ''));
+      }
       if (index === -1) {
         index = values.indexOf(' ');
       }
       // increment the drum
+      const steps = [];
       for (let i = 0; i < index; i++) {
-        sf.display.show(container, values[i + 1], isChar);
+        steps.push(sf.display.glyphClass(values[i + 1], isChar));
       }
+      sf.flap.run(container, steps, isChar);
       // rotate the dom element's stored array to the new order for next time
       container.data('order', values.rotate(index));
     },
 
     /**
-     * This function displays a character in a <span> element
-     * @param {object} container A JQuery DOM Object
-     * @param {string} i The character to show
+     * The class that shows a character or image in a <span> element
+     * @param {string} i The character or image to show
      * @param {boolean} isChar True if this is supposed to be a character (not an image);
+     * @returns {string} The class name
      */
-    show: (container, i, isChar) => {
-      let c = isChar ? 'c' + i : i; // character class names are preceded by "c"
-      // punctuation has special class names
-      // TODO: can we be more efficient here? This method gets called a lot!
-      switch (i) {
-        case ' ':
-          c = 'csp';
-          break;
-        case '.':
-          c = 'cper';
-          break;
-        case ',':
-          c = 'ccom';
-          break;
-        case '?':
-          c = 'cque';
-          break;
-        case '!':
-          c = 'cexc';
-          break;
-        case '/':
-          c = 'csla';
-          break;
-        case "'":
-          c = 'capo';
-          break;
-        case '+':
-          c = 'cplu';
-          break;
-        case '-':
-          c = 'cmin';
-          break;
-        case ':':
-          c = 'ccol';
-          break;
-        case '@':
-          c = 'cat';
-          break;
-        case '#':
-          c = 'chsh';
-          break;
-        case '↑':
-          c = 'cup';
-          break;
-        case '↓':
-          c = 'cdn';
-          break;
-        case '%':
-          c = 'cpct';
-          break;
-      }
-      // (Audio: handled via pulse on update/reset)
-
-      container
-        .fadeOut(50, () => {
-          container.removeClass().addClass(c);
-        })
-        .fadeIn(50);
+    glyphClass: (i, isChar) => {
+      // characters get their class from the theme; images are named by their
+      // value, with csp for the blank
+      return isChar || i === ' ' ? sf.themes.glyphClass(i) : i;
     }
   });
 /* END DISPLAY METHODS                                                   */
 /* ********************************************************************* */
+
+/* ********************************************************************* */
+/* FLAP ANIMATION                                                        */
+
+// Flips cells through their drums on requestAnimationFrame instead of a
+// jQuery fade per character. sf.display.change() hands each cell the
+// classes it has to step through, in drum order; a flip folds the old top
+// half down over the new character, then the new bottom half down over the
+// old one. Only `maxActive` cells flip at once and the rest wait their turn,
+// and nothing is animated while the tab is hidden: cells jump straight to
+// where they are going.
+sf.flap = {
+  flipMs: 60, // how long one flip takes (ms); sf.options.flipSpeed, or flipSpeed on a column
+  maxActive: 400, // cells flipping at once
+  _active: [],
+  _waiting: [],
+  _frame: null,
+
+  // Flip a cell's span through `steps` (class names), after any flips it
+  // has queued already
+  run: (container, steps, isChar) => {
+    const span = container[0];
+    if (!span || steps.length === 0) return;
+    let state = $.data(span, 'flap');
+    if (state) {
+      state.steps.push(...steps);
+      return;
+    }
+    if (document.hidden) {
+      span.className = steps[steps.length - 1];
+      return;
+    }
+    state = {
+      span,
+      steps: steps.slice(),
+      isChar,
+      ms: Number($(span).closest('.group').data('flip-ms')) || sf.flap.flipMs,
+      start: null,
+      halves: null
+    };
+    $.data(span, 'flap', state);
+    (sf.flap._active.length < sf.flap.maxActive ? sf.flap._active : sf.flap._waiting).push(state);
+    if (!sf.flap._frame) sf.flap._frame = requestAnimationFrame(sf.flap.tick);
+  },
+
+  tick: now => {
+    sf.flap._frame = null;
+    sf.flap._active = sf.flap._active.filter(state => {
+      if (state.start === null) sf.flap.begin(state, now);
+      const t = (now - state.start) / state.ms;
+      if (t < 1) {
+        sf.flap.draw(state, t);
+        return true;
+      }
+      state.steps.shift();
+      if (state.steps.length) {
+        sf.flap.begin(state, now);
+        return true;
+      }
+      sf.flap.end(state);
+      return false;
+    });
+    while (sf.flap._active.length < sf.flap.maxActive && sf.flap._waiting.length) {
+      sf.flap._active.push(sf.flap._waiting.shift());
+    }
+    if (sf.flap._active.length) sf.flap._frame = requestAnimationFrame(sf.flap.tick);
+  },
+
+  // Start the next flip: the cell shows the new character underneath and
+  // the halves of the old one cover it until they fall
+  begin: (state, now) => {
+    const from = state.span.className || sf.themes.glyphClass(' ');
+    const to = state.steps[0];
+    state.start = now;
+    state.span.className = to;
+    sf.audio.flip();
+    if (!state.isChar) return; // images just change
+    if (!state.halves) {
+      state.halves = ['flap-top', 'flap-bottom', 'flap-bottom'].map(half => $('<i>').addClass(half)[0]);
+      $(state.span).after(state.halves);
+    }
+    const [top, oldBottom, newBottom] = state.halves;
+    top.className = from + ' flap flap-top';
+    oldBottom.className = from + ' flap flap-bottom';
+    newBottom.className = to + ' flap flap-bottom';
+    sf.flap.draw(state, 0);
+  },
+
+  // t runs 0-1 through a flip: the old top half folds away in the first
+  // half, the new bottom half falls into place in the second
+  draw: (state, t) => {
+    if (!state.halves) return;
+    const [top, oldBottom, newBottom] = state.halves;
+    top.style.transform = 'scaleY(' + Math.max(0, 1 - 2 * t) + ')';
+    oldBottom.style.visibility = t < 0.5 ? 'visible' : 'hidden';
+    newBottom.style.transform = 'scaleY(' + Math.max(0, 2 * t - 1) + ')';
+  },
+
+  end: state => {
+    if (state.halves) $(state.halves).remove();
+    $.removeData(state.span, 'flap');
+  },
+
+  // Put every cell where it is going straight away
+  finish: () => {
+    sf.flap._active.concat(sf.flap._waiting).forEach(state => {
+      state.span.className = state.steps[state.steps.length - 1];
+      sf.flap.end(state);
+    });
+    sf.flap._active = [];
+    sf.flap._waiting = [];
+    if (sf.flap._frame) cancelAnimationFrame(sf.flap._frame);
+    sf.flap._frame = null;
+  }
+};
+
+// animation frames stop in a hidden tab, so don't leave cells half-flipped
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) sf.flap.finish();
+});
+
+/* END FLAP ANIMATION                                                    */
+/* ********************************************************************* */
+
+/* ********************************************************************* */
+/* THEMES                                                                */
+
+// A theme says how the character cells look and which characters they can
+// show, so new looks and character sets don't need changes here. The
+// built-in ones are in js/themes.js; sf.options.theme picks one. A theme is
+//   name     what sf.options.theme (or ?theme=) picks it by
+//   glyphs   every character the cells can show, in flip order, starting
+//            with the blank
+//   sprite   optional sprite sheet: a transition frame and then one frame
+//            per glyph, left to right. Without one the glyphs are drawn as
+//            text in `font`.
+//   cell     { width, height } of a character cell in px
+//   colors   { page, text } for the page, and { flap, glyph } for the cells
+//            of text themes
+//   font     CSS font family for text themes
+//   drums    optional glyph lists for the 'character' and 'number' drums;
+//            by default the letters or the digits of `glyphs` plus ' .,'
+sf.themes = {
+  defaultTheme: 'yellow',
+  registry: {},
+  current: null,
+  _drums: null,
+
+  register: theme => {
+    sf.themes.registry[theme.name] = theme;
+  },
+
+  // Class name for a cell showing `ch`: cA and c0 for letters and digits,
+  // cu plus the hex code point for anything else, csp for the blank
+  glyphClass: ch => {
+    if (ch === ' ') return 'csp';
+    return /^[A-Z0-9]$/.test(ch) ? 'c' + ch : 'cu' + ch.codePointAt(0).toString(16);
+  },
+
+  // The full, character and number drums for a theme
+  drums: theme => {
+    const glyphs = Array.from(theme.glyphs);
+    const pick = test => glyphs.filter(g => g === ' ' || g === '.' || g === ',' || test(g));
+    const drums = theme.drums || {};
+    return {
+      full: glyphs,
+      character: drums.character ? Array.from(drums.character) : pick(g => g.toLowerCase() !== g.toUpperCase()),
+      number: drums.number ? Array.from(drums.number) : pick(g => /[0-9]/.test(g))
+    };
+  },
+
+  // The stylesheet for a theme: cell sizes and a rule per glyph
+  css: theme => {
+    const w = theme.cell.width;
+    const h = theme.cell.height;
+    const colors = theme.colors || {};
+    const drums = ['full', 'number', 'character'];
+    const cells = drums.map(d => '.splitflap .' + d).join(', ');
+    // the flap halves (sf.flap) are drawn like the span under them
+    const spans = drums.map(d => '.splitflap .' + d + ' span, .splitflap .' + d + ' .flap').join(', ');
+    const glyph = (cls, pseudo) => drums.map(d => '.splitflap .' + d + ' .' + cls + (pseudo || '')).join(', ');
+    const rules = [
+      'body { background: ' + (colors.page || '#0f0f0f') + '; color: ' + (colors.text || '#fff') + '; }',
+      '.splitflap .row, .splitflap .alert-row, .splitflap .forecast-row { height: ' + (h + 20) + 'px; }'
+    ];
+    if (theme.sprite) {
+      const sheet = "url('" + theme.sprite + "') no-repeat";
+      rules.push(cells + ', ' + spans + ' { width: ' + w + 'px; height: ' + h + 'px; background: ' + sheet + '; background-position: 0 0; }');
+      // a cell that hasn't shown anything yet starts blank, not on the
+      // transition frame
+      const blank = Array.from(theme.glyphs).indexOf(' ');
+      rules.push(spans + ' { background-position: -' + (blank + 1) * w + 'px 0; }');
+      rules.push(glyph('ctrn') + ' { background-position: 0 0; }');
+      Array.from(theme.glyphs).forEach((g, i) => {
+        rules.push(glyph(sf.themes.glyphClass(g)) + ' { background-position: -' + (i + 1) * w + 'px 0; }');
+      });
+    } else {
+      rules.push(cells + ' { width: ' + w + 'px; height: ' + h + 'px; background: ' + (colors.flap || '#222') + '; border-radius: 3px; }');
+      // a dark line across the middle where the flaps meet
+      rules.push(spans + ' { display: block; width: ' + w + 'px; height: ' + h + 'px; overflow: hidden; text-align: center;' +
+        ' color: ' + (colors.glyph || '#fff') + '; font: bold ' + Math.round(h * 0.75) + 'px/' + h + 'px ' + (theme.font || 'helvetica, sans-serif') + ';' +
+        ' background: linear-gradient(transparent calc(50% - 1px), rgba(0, 0, 0, 0.7) calc(50% - 1px), rgba(0, 0, 0, 0.7) calc(50% + 1px), transparent calc(50% + 1px)), ' + (colors.flap || '#222') + '; }');
+      Array.from(theme.glyphs).forEach(g => {
+        if (g === ' ') return;
+        rules.push(glyph(sf.themes.glyphClass(g), '::before') + ' { content: "' + g.replace(/["\\]/g, '\\$&') + '"; }');
+      });
+    }
+    return rules.join('\n');
+  },
+
+  // Switch to a theme by name. Call before the board is built: the drums
+  // are handed out as its cells are created.
+  apply: name => {
+    let theme = sf.themes.registry[name];
+    if (!theme) {
+      if (name) console.warn('Unknown theme "' + name + '", using ' + sf.themes.defaultTheme);
+      theme = sf.themes.registry[sf.themes.defaultTheme];
+    }
+    sf.themes.current = theme;
+    sf.themes._drums = sf.themes.drums(theme);
+    sf.board.cellWidths.full = sf.board.cellWidths.character = sf.board.cellWidths.number = theme.cell.width + 5;
+    let style = $('#sf-theme');
+    if (!style.length) style = $('<style id="sf-theme">').appendTo('head');
+    style.text(sf.themes.css(theme));
+  }
+};
+
+/* END THEMES                                                            */
+/* ********************************************************************* */
+
+/* ********************************************************************* */
+/* EVENT STREAM                                                          */
+
+// Renders the board from Server-Sent Events instead of polling. Station,
+// alert, holiday and config events are passed on as 'sf:station',
+// 'sf:alerts', 'sf:holiday' and 'sf:config' on window. If the stream keeps
+// failing the board falls back to polling and tries the stream again after
+// retryInterval.
+sf.stream = {
+  connected: false,
+  maxErrors: 3, // consecutive errors before falling back to polling
+  retryInterval: 300000,
+  _source: null,
+  _errors: 0,
+
+  connect: options => {
+    // already streaming; new data will be pushed
+    if (sf.stream._source && sf.stream._source.readyState !== EventSource.CLOSED) return;
+    const plugin = sf.plugins[options.plugin];
+    const source = new EventSource(plugin.streamUrl(options));
+    sf.stream._source = source;
+
+    source.addEventListener('open', () => {
+      sf.stream.connected = true;
+      sf.stream._errors = 0;
+    });
+    source.addEventListener('error', () => {
+      sf.stream.connected = false;
+      sf.stream._errors++;
+      if (sf.stream._errors >= sf.stream.maxErrors) sf.stream.fallback(options);
+    });
+
+    source.addEventListener('arrivals', e => {
+      const first = items.length === 0;
+      items.reset(items.parse(JSON.parse(e.data)));
+      // a single page is redrawn straight away; with several pages the new
+      // data is shown from the next cycle through the pages
+      if (first || items.numPages <= 1) {
+        sf.stream.paginate(options);
+      }
+    });
+    ['station', 'alerts', 'holiday', 'config'].forEach(name => {
+      source.addEventListener(name, e => {
+        $(window).trigger('sf:' + name, [JSON.parse(e.data)]);
+      });
+    });
+  },
+
+  // Keep cycling through the pages of whatever was pushed last
+  paginate: options => {
+    items.paginate(options, () => sf.stream.paginate(options));
+  },
+
+  fallback: options => {
+    console.warn('Event stream unavailable, polling instead');
+    sf.stream._source.close();
+    sf.stream.connected = false;
+    sf.stream._errors = 0;
+    items.update(options);
+    setTimeout(() => sf.stream.connect(options), sf.stream.retryInterval);
+  }
+};
+/* END EVENT STREAM                                                      */
+/* ********************************************************************* */
+
+/* ********************************************************************* */
+/* LAYOUTS                                                               */
+
+// How results fill the rows, from sf.options.layout:
+//   list       one train per row
+//   collapsed  one row per route and destination
+//   grouped    one row per route and direction ("1 UPTOWN 2, 9, 15")
+// Collapsed and grouped rows list their next few departures in `times`.
+// Rows come in groups, one per route and direction, and a page only holds
+// whole groups, so a run of 7s can't push the next 1 train onto page three.
+sf.layouts = {
+  // What the 'grouped' layout shows as the destination for each direction
+  directions: { N: 'UPTOWN', S: 'DOWNTOWN' },
+
+  // The columns for the board's layout: sf.options.groupColumns has a
+  // times column for the layouts that use one
+  columns: options =>
+    (options.layout && options.layout !== 'list' && options.groupColumns) || options.columns,
+
+  // The results, already sorted, as groups of rows in the order their
+  // first train comes up
+  groups: (results, options) => {
+    const layout = options.layout || 'list';
+    if (layout === 'list') return results.map(item => [item]);
+    const group = item => item.line + '|' + (item.direction || '');
+    const key = layout === 'grouped' ? group : item => group(item) + '|' + item.terminal;
+    const rows = _.values(_.groupBy(results, key))
+      .map(trains => sf.layouts.row(trains, layout, options.departures || 3));
+    return _.values(_.groupBy(rows, group));
+  },
+
+  // One row for `trains` (the same route, and direction or destination):
+  // the first train's details with the next `count` departures
+  row: (trains, layout, count) => {
+    const next = trains.slice(0, count);
+    const first = trains[0];
+    const row = _.extend({}, first, { times: _.pluck(next, 'scheduled').join(', ') });
+    if (next.every(t => typeof t.departure === 'number')) row.departures = _.pluck(next, 'departure');
+    if (layout === 'grouped' && sf.layouts.directions[first.direction]) {
+      row.terminal = sf.layouts.directions[first.direction];
+    }
+    return row;
+  },
+
+  // Recount a row's departures between fetches (see sf.countdown), without
+  // the trains that have left or are too soon to catch; null once none are
+  // left
+  refresh: (item, minMinutes) => {
+    const minutes = departure => sf.countdown.minutes({ departure });
+    const departures = item.departures.filter(d => minutes(d) >= minMinutes);
+    if (!departures.length) return null;
+    return _.extend({}, item, {
+      departure: departures[0],
+      departures,
+      times: departures.map(minutes).join(', ')
+    });
+  },
+
+  // Fill pages of `size` rows with whole groups; a group bigger than a page
+  // is split over as many as it takes. There is always at least one page.
+  pages: (groups, size) => {
+    // every row is taken by a message
+    if (!size) return [[]];
+    const pages = [];
+    let page = [];
+    groups.forEach(group => {
+      if (page.length && page.length + group.length > size) {
+        pages.push(page);
+        page = [];
+      }
+      group.forEach(row => {
+        if (page.length === size) {
+          pages.push(page);
+          page = [];
+        }
+        page.push(row);
+      });
+    });
+    if (page.length || !pages.length) pages.push(page);
+    return pages;
+  }
+};
+/* END LAYOUTS                                                           */
+/* ********************************************************************* */
+
+/* ********************************************************************* */
+/* COUNTDOWNS                                                            */
+
+// Between fetches, recompute each row's minutes from its absolute
+// departure time (seconds), re-flap the ones that changed and drop trains
+// that have left, moving the rows below them up.
+sf.countdown = {
+  offset: 0, // server clock minus browser clock (ms), set by the plugin
+  walk: 0, // minutes' walk to the station, set by the plugin
+  lights: { 'GO NOW': 'A', RUN: 'B', MISSED: '' }, // status lights for each leave advice
+  _timer: null,
+  _chimed: null,
+
+  init: options => {
+    if (sf.countdown._timer) clearInterval(sf.countdown._timer);
+    sf.countdown._timer = setInterval(
+      () => sf.countdown.tick(options),
+      options.countdownInterval || 15000
+    );
+  },
+
+  // Whole minutes until an item departs
+  minutes: item =>
+    Math.floor((item.departure * 1000 - (Date.now() + sf.countdown.offset)) / 60000),
+
+  // GO NOW, RUN, MISSED or null; the same rule as leave_status() in lib/transit.js
+  leave: (minutes, walk) => {
+    if (!walk) return null;
+    if (minutes >= walk + 2) return null;
+    if (minutes >= walk) return 'GO NOW';
+    if (minutes >= Math.ceil(walk * 0.6)) return 'RUN';
+    return 'MISSED';
+  },
+
+  // Recount an item's minutes, and its leave advice where the plugin gives
+  // the service status to fall back to
+  recount: (item, minutes) => {
+    // a 0 would render as blank, so trains leaving now get the string '0'
+    const update = { scheduled: minutes === 0 ? '0' : minutes };
+    if (typeof item.service !== 'undefined') {
+      update.leave = sf.countdown.leave(minutes, sf.countdown.walk);
+      update.remarks = update.leave || item.note || item.service;
+      update.status = update.leave ? sf.countdown.lights[update.leave] : item.service_light;
+    }
+    return _.extend({}, item, update);
+  },
+
+  // Chime once when the next train we can still catch says GO NOW
+  chime: (current, options) => {
+    if (!options.chime) return;
+    const next = _.min(
+      current.filter(item => typeof item.departure === 'number' && item.leave !== 'MISSED'),
+      item => item.departure
+    );
+    if (!next || next.leave !== 'GO NOW') return;
+    const key = next.line + '@' + next.departure;
+    if (key === sf.countdown._chimed) return;
+    sf.countdown._chimed = key;
+    sf.audio.chime();
+  },
+
+  tick: options => {
+    const page = sf.display.page;
+    if (!page) return;
+    const minMinutes = (options.filters && Number(options.filters.min_minutes)) || 0;
+    const current = [];
+    page.forEach(item => {
+      if (item.departures) item = sf.layouts.refresh(item, minMinutes);
+      if (!item) return;
+      if (typeof item.departure !== 'number') {
+        current.push(item);
+        return;
+      }
+      const minutes = sf.countdown.minutes(item);
+      if (minutes < minMinutes) return;
+      current.push(sf.countdown.recount(item, minutes));
+    });
+    sf.countdown.chime(current, options);
+
+    const rows = sf.display.rows(options.container);
+    current.forEach((item, i) => {
+      if (!_.isEqual(item, $(rows[i]).data('item'))) {
+        sf.display.loadRow(item, $(rows[i]));
+      }
+    });
+    for (let i = current.length; i < page.length; i++) {
+      sf.board.clearRow(rows[i]);
+      $(rows[i]).removeData('item');
+    }
+    sf.display.page = current;
+  }
+};
+/* END COUNTDOWNS                                                        */
+/* ********************************************************************* */
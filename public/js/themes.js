@@ -0,0 +1,36 @@
+/* global sf */
+
+// Built-in themes (see sf.themes in split-flap.js for what a theme can set).
+// Pick one with sf.options.theme or ?theme= on the board's URL. A theme of
+// your own can be registered the same way from another script loaded after
+// split-flap.js.
+
+// The original yellow letters on black, from the sprite sheet
+sf.themes.register({
+  name: 'yellow',
+  sprite: 'img/split-flap-letters-yellow-sm-full.png',
+  cell: { width: 25, height: 40 },
+  glyphs: " ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.,?!/'+-:@#↑↓",
+  colors: { page: '#0f0f0f', text: '#fff' }
+});
+
+// Accented capitals for the text themes
+const ACCENTED = 'ÀÁÂÄÃÅÇÈÉÊËÌÍÎÏÑÒÓÔÖÕÙÚÛÜÝ';
+
+// White Helvetica on black, like the station countdown clocks
+sf.themes.register({
+  name: 'mta',
+  cell: { width: 25, height: 40 },
+  glyphs: " ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.,?!/'+-:@#&()%$*=↑↓" + ACCENTED,
+  colors: { page: '#000', text: '#fff', flap: '#141414', glyph: '#f4f4f4' },
+  font: "'Helvetica Neue', helvetica, arial, sans-serif"
+});
+
+// Amber on dark grey, like an airport departures board
+sf.themes.register({
+  name: 'airport',
+  cell: { width: 25, height: 40 },
+  glyphs: " ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.,?!/'+-:@#&()%$*=↑↓" + ACCENTED,
+  colors: { page: '#0a0a0a', text: '#ffb000', flap: '#1e1e1e', glyph: '#ffb000' },
+  font: "'Arial Narrow', 'Roboto Condensed', arial, sans-serif"
+});
@@ -0,0 +1,58 @@
+/* global $ _ sf */
+
+// Trip detail: tap a train on the board to see the stops it has still to
+// make (from /api/trips), with how far away each one is. The list closes
+// on another tap or by itself after a while.
+sf.trips = (function() {
+  const api = {
+    closeAfter: 20000, // ms the stop list stays up
+    _panel: null,
+    _timer: null,
+
+    init: function(options) {
+      const settings = _.extend({ enabled: true }, options.trips);
+      if (!settings.enabled || this._panel) return;
+      this.closeAfter = settings.closeAfter || this.closeAfter;
+      this._panel = $('<div class="trip-panel">').hide().appendTo('body');
+      this._panel.on('click', () => this.close());
+      options.container.on('click', '.row', e => {
+        const item = $(e.currentTarget).data('item');
+        if (item && item.trip) this.show(item);
+      });
+    },
+
+    show: function(item) {
+      $.getJSON('/api/trips/' + encodeURIComponent(item.trip), { route: item.line })
+        .done(resp => this.render(item, resp.trip))
+        .fail(() => this.render(item, null));
+    },
+
+    render: function(item, trip) {
+      const panel = this._panel.empty();
+      $('<h2>').text(item.line + ' to ' + ((trip && trip.destination) || item.terminal)).appendTo(panel);
+      const notes = _.compact([item.note, item.track && 'Track ' + item.track]);
+      if (notes.length) $('<p class="trip-note">').text(notes.join(' · ')).appendTo(panel);
+      if (!trip || !trip.stops.length) {
+        $('<p>').text('No stops to show for this train').appendTo(panel);
+      } else {
+        const list = $('<ol>').appendTo(panel);
+        trip.stops.forEach(stop => {
+          $('<li>')
+            .append($('<span class="trip-stop">').text(stop.name || stop.id))
+            .append($('<span class="trip-minutes">').text(stop.minutes ? stop.minutes + ' min' : 'now'))
+            .appendTo(list);
+        });
+      }
+      panel.show();
+      clearTimeout(this._timer);
+      this._timer = setTimeout(() => this.close(), this.closeAfter);
+    },
+
+    close: function() {
+      clearTimeout(this._timer);
+      this._panel.hide();
+    }
+  };
+
+  return api;
+})();
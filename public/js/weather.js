@@ -1,97 +1,53 @@
 /**
  * Weather API Module
- * Queries the Open-Meteo weather forecast API for current weather conditions
- * 
+ * Reads the current weather from the server's /api/weather, which fetches,
+ * caches and normalizes it through the configured weather provider
+ * (Open-Meteo, a local JSON file or a stub). The location and units are
+ * set in the config (see /admin).
+ *
  * Usage:
- *   weather.getCurrent(latitude, longitude).then(data => {
+ *   weather.getCurrent().then(data => {
  *       console.log('Temperature:', data.temperature);
  *       console.log('Precipitation:', data.precipitation);
  *       console.log('Rain:', data.rain);
  *       console.log('Snow:', data.snowfall);
+ *       console.log('Forecast:', weather.forecastSummary(data)); // e.g. 'RAIN STARTS 5PM'
  *   }).catch(err => console.error('Weather API error:', err));
  */
 
 const weather = (function() {
-    // Base URL for Open-Meteo API
-    const BASE_URL = 'https://api.open-meteo.com/v1/forecast';
+    const URL = '/api/weather';
+
+    // Chance of precipitation (%) from which a forecast hour counts as wet
+    const WET_CHANCE = 50;
 
     /**
-     * Fetch current weather data for a given location
-     * @param {number} latitude - WGS84 latitude coordinate
-     * @param {number} longitude - WGS84 longitude coordinate
-     * @param {object} options - Optional configuration
-     * @param {string} options.temperatureUnit - 'celsius' (default) or 'fahrenheit'
-     * @param {string} options.precipitationUnit - 'mm' (default) or 'inch'
-     * @param {string} options.timezone - Timezone name (e.g., 'auto', 'America/New_York'); defaults to 'GMT'
+     * Fetch current weather data for the configured location
      * @returns {Promise<object>} Resolved with current weather object containing:
-     *   - temperature: Current temperature (in specified unit)
-     *   - precipitationProbability: % chance of precipitation
-     *   - precipitation: Total precipitation (mm or inch)
-     *   - rain: Rain amount from weather systems (mm or inch)
-     *   - showers: Shower precipitation (mm or inch)
-     *   - snowfall: Snowfall amount (cm or inch)
+     *   - temperature: Current temperature (in temperatureUnit)
+     *   - humidity: Relative humidity (%)
+     *   - precipitation: Total precipitation (in precipitationUnit)
+     *   - rain: Rain amount from weather systems
+     *   - showers: Shower precipitation
+     *   - snowfall: Snowfall amount
      *   - weatherCode: WMO weather code (see interpretWeatherCode)
      *   - cloudCover: Cloud cover percentage (0-100%)
-     *   - time: ISO8601 timestamp of observation
+     *   - time: ISO8601 timestamp of observation, local to the location
+     *   - precipitationProbability: Chance of precipitation this hour (%)
+     *   - high, low: Today's forecast high and low temperatures
+     *   - hourly: The next 24 hours from this one, each with time,
+     *     temperature, precipitationProbability, precipitation, weatherCode
+     *   - temperatureUnit, precipitationUnit: e.g. '°F' and 'inch'
+     *   - latitude, longitude, timezone: The location reported on
      */
-    function getCurrent(latitude, longitude, options = {}) {
-        const tempUnit = options.temperatureUnit || 'celsius';
-        const precipUnit = options.precipitationUnit || 'mm';
-        const tz = options.timezone || 'GMT';
-
-        // Build query parameters for current weather
-        const params = new URLSearchParams({
-            latitude: latitude,
-            longitude: longitude,
-            current: [
-                'temperature_2m',
-                'relative_humidity_2m',
-                'precipitation',
-                'rain',
-                'showers',
-                'snowfall',
-                'weather_code',
-                'cloud_cover'
-            ].join(','),
-            temperature_unit: tempUnit,
-            precipitation_unit: precipUnit,
-            timezone: tz
-        });
-
-        const url = `${BASE_URL}?${params.toString()}`;
-
-        return fetch(url)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Weather API error: HTTP ${response.status}`);
-                }
-                return response.json();
-            })
+    function getCurrent() {
+        return fetch(URL)
+            .then(response => response.json())
             .then(data => {
-                if (data.error) {
-                    throw new Error(`Weather API error: ${data.reason}`);
+                if (!data.ok) {
+                    throw new Error(`Weather API error: ${data.error}`);
                 }
-                // Normalize the response
-                const current = data.current || {};
-                return {
-                    temperature: current.temperature_2m,
-                    humidity: current.relative_humidity_2m,
-                    precipitation: current.precipitation,
-                    rain: current.rain,
-                    showers: current.showers,
-                    snowfall: current.snowfall,
-                    weatherCode: current.weather_code,
-                    cloudCover: current.cloud_cover,
-                    time: current.time,
-                    // Include units for context
-                    temperatureUnit: data.current_units?.temperature_2m || '°C',
-                    precipitationUnit: data.current_units?.precipitation || 'mm',
-                    // Include location info
-                    latitude: data.latitude,
-                    longitude: data.longitude,
-                    timezone: data.timezone,
-                    elevationMeters: data.elevation
-                };
+                return data.weather;
             });
     }
 
@@ -179,12 +135,91 @@ const weather = (function() {
         );
     }
 
+    /**
+     * Determine if a forecast hour is likely to be wet
+     * @param {object} hour - One entry of weatherData.hourly
+     * @returns {boolean} True if precipitation is forecast and at least WET_CHANCE% likely
+     */
+    function isWetHour(hour) {
+        if (!hour) return false;
+        const chance = typeof hour.precipitationProbability === 'number' ? hour.precipitationProbability : 100;
+        return chance >= WET_CHANCE && Boolean(hasPrecipitation(hour) || isRaining(hour) || isSnowing(hour));
+    }
+
+    /**
+     * Format a forecast time as a board-friendly hour
+     * @param {string} time - Local ISO8601 time, e.g. '2024-03-01T17:00'
+     * @returns {string} e.g. '5PM'
+     */
+    function formatHour(time) {
+        const hour = Number(String(time).slice(11, 13));
+        return `${hour % 12 || 12}${hour >= 12 ? 'PM' : 'AM'}`;
+    }
+
+    /**
+     * Sum up the coming hours in a few words for the forecast row
+     * @param {object} weatherData - Object returned from getCurrent()
+     * @param {number} hours - How far ahead to look (default 12)
+     * @returns {string} e.g. 'RAIN STARTS 5PM', 'SNOW STOPS 2AM' or
+     *   'NO RAIN EXPECTED'; empty without an hourly forecast
+     */
+    function forecastSummary(weatherData, hours = 12) {
+        const upcoming = ((weatherData && weatherData.hourly) || []).slice(0, hours);
+        if (upcoming.length === 0) return '';
+        const kind = hour => (isSnowing(hour) ? 'SNOW' : 'RAIN');
+
+        if (isWetHour(upcoming[0])) {
+            const dry = upcoming.find(hour => !isWetHour(hour));
+            return dry ? `${kind(upcoming[0])} STOPS ${formatHour(dry.time)}` : `${kind(upcoming[0])} CONTINUING`;
+        }
+        const wet = upcoming.find(isWetHour);
+        return wet ? `${kind(wet)} STARTS ${formatHour(wet.time)}` : 'NO RAIN EXPECTED';
+    }
+
+    /**
+     * Find the commute window that is on now or comes next
+     * @param {string} now - Local ISO8601 time at the location (weatherData.time)
+     * @param {Array} windows - [{ start: 'HH:MM', end: 'HH:MM' }, ...]
+     * @returns {object|null} { start, end } as local ISO8601 times
+     */
+    function nextCommute(now, windows) {
+        if (!now || !windows || windows.length === 0) return null;
+        const today = String(now).slice(0, 10);
+        const tomorrow = new Date(Date.parse(today + 'T12:00:00Z') + 86400000).toISOString().slice(0, 10);
+        const candidates = [];
+        [today, tomorrow].forEach(day => windows.forEach(w => {
+            candidates.push({ start: `${day}T${w.start}`, end: `${day}T${w.end}` });
+        }));
+        // local ISO times sort as strings
+        candidates.sort((a, b) => (a.start < b.start ? -1 : 1));
+        return candidates.find(w => w.end > now) || null;
+    }
+
+    /**
+     * Determine if precipitation is expected during the next commute
+     * @param {object} weatherData - Object returned from getCurrent()
+     * @param {Array} windows - Commute windows, see nextCommute()
+     * @returns {boolean} True if any hour of the window is wet
+     */
+    function needsUmbrella(weatherData, windows) {
+        const commute = nextCommute(weatherData && weatherData.time, windows);
+        if (!commute) return false;
+        const from = commute.start.slice(0, 13); // from the hour the commute starts in
+        return (weatherData.hourly || []).some(hour =>
+            hour.time.slice(0, 13) >= from && hour.time < commute.end && isWetHour(hour));
+    }
+
     // Public API
     return {
         getCurrent,
         interpretWeatherCode,
         hasPrecipitation,
         isSnowing,
-        isRaining
+        isRaining,
+        isWetHour,
+        formatHour,
+        forecastSummary,
+        nextCommute,
+        needsUmbrella
     };
 })();
@@ -12,10 +12,41 @@ sf.plugins.arrivals = {
   dataType: 'json',
 
   url: function(options) {
-    return 'api/arrivals';
+    return this.boardPath(options, 'arrivals');
+  },
+
+  // Server-Sent Events for the same board and filters (see sf.stream)
+  streamUrl: function(options) {
+    return this.boardPath(options, 'stream');
+  },
+
+  boardPath: function(options, endpoint) {
+    const base = options.board
+      ? 'api/boards/' + encodeURIComponent(options.board) + '/' + endpoint
+      : 'api/' + endpoint;
+    // pass any non-empty filters through as query parameters
+    const params = new URLSearchParams();
+    _.each(options.filters || {}, (value, key) => {
+      if (value !== '' && value !== null && typeof value !== 'undefined') {
+        params.set(key, Array.isArray(value) ? value.join(',') : value);
+      }
+    });
+    const query = params.toString();
+    return query ? base + '?' + query : base;
   },
 
   formatData: function(response) {
+    if (response.now) sf.countdown.offset = response.now - Date.now();
+    if (response.realNow && sf.messages) sf.messages.offset = response.realNow - Date.now();
+    sf.countdown.walk = response.walk || 0;
+    if (sf.messages) sf.messages.schedule(response.messages);
+    // the server keeps its last good data when the feed is down;
+    // say so on the board rather than passing it off as current
+    if (response.stale) {
+      return _.map(response.data, row =>
+        _.extend({}, row, { remarks: row.leave || 'DATA DELAYED', service: 'DATA DELAYED' })
+      );
+    }
     return response.data;
   }
 };
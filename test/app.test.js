@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const { createApp } = require('../lib/app');
+const { T0, startMockTransiter } = require('./mock-transiter');
+
+let transiter;
+let dir;
+let solari;
+let server;
+let base;
+
+// GET a path from the app as JSON
+async function get(url) {
+    const res = await fetch(base + url);
+    return { status: res.status, body: await res.json() };
+}
+
+test.before(async () => {
+    transiter = await startMockTransiter();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solari-test-'));
+    solari = createApp({
+        SOLARI_CONFIG: path.join(dir, 'config.json'),
+        SOLARI_HISTORY: 'off',
+        SOLARI_OUTPUT: 'off',
+        SOLARI_STATION: '635',
+        SOLARI_WEATHER_PROVIDER: 'stub',
+        SOLARI_CLOCK_START: new Date(T0 * 1000).toISOString(),
+        TRANSITER_HOST: '127.0.0.1',
+        TRANSITER_PORT: String(transiter.port)
+    });
+    // listen without start(), so nothing polls behind the tests' backs
+    await new Promise(resolve => {
+        server = solari.app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    solari.stop();
+    await new Promise(resolve => server.close(resolve));
+    await transiter.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('creating the app fetches nothing until a refresh', async () => {
+    assert.deepEqual(transiter.requests, []);
+    const { body } = await get('/api/arrivals');
+    assert.deepEqual(body.data, []);
+    assert.equal(body.stale, false);
+    assert.deepEqual(await solari.refresh(), [true]);
+    assert.ok(transiter.requests.includes('stops/635'));
+});
+
+test('/api/arrivals shapes the arrivals for the board, soonest first', async () => {
+    const { status, body } = await get('/api/arrivals');
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(d => [d.line, d.scheduled, d.remarks, d.status]), [
+        ['5', '0', 'DELAYS', 'B'],
+        ['4', 2, 'LATE 4', 'B'],
+        ['N', 5, 'Good Service', 'A'],
+        ['6', 6, 'Good Service', 'A'],
+        ['6X', 11, 'EXPRESS', 'A']
+    ]);
+    assert.deepEqual(body.data[1], {
+        line: '4',
+        stop: '14 St-Union Sq',
+        terminal: 'Woodlawn',
+        direction: 'N',
+        scheduled: 2,
+        departure: T0 + 130,
+        trip: '4-N-1',
+        delay: 240,
+        track: '3',
+        express: false,
+        note: 'LATE 4',
+        service: 'SERVICE CHANGE',
+        service_light: 'B',
+        leave: null,
+        remarks: 'LATE 4',
+        status: 'B'
+    });
+    assert.equal(body.walk, 0);
+    assert.equal(body.stale, false);
+    assert.ok(body.now >= T0 * 1000);
+    // messages are timed on the real clock
+    assert.ok(Math.abs(body.realNow - Date.now()) < 5000);
+    assert.deepEqual(body.messages, []);
+});
+
+test('/api/arrivals filters by route, direction, terminal and minutes', async () => {
+    const lines = async query => (await get('/api/arrivals?' + query)).body.data.map(d => d.line);
+    assert.deepEqual(await lines('routes=4,6x'), ['4', '6X']);
+    assert.deepEqual(await lines('direction=s'), ['5', 'N', '6']);
+    assert.deepEqual(await lines('exclude_terminal=woodlawn'), ['5', 'N', '6', '6X']);
+    assert.deepEqual(await lines('min_minutes=3'), ['N', '6', '6X']);
+});
+
+test('/api/arrivals gives leave advice for the walking time', async () => {
+    const walk = await get('/api/walk?minutes=5');
+    assert.deepEqual(walk.body, { ok: true, walkMinutes: 5 });
+    const { body } = await get('/api/arrivals');
+    assert.equal(body.walk, 5);
+    assert.deepEqual(body.data.map(d => [d.line, d.leave, d.remarks, d.status]), [
+        ['5', 'MISSED', 'MISSED', ''],
+        ['4', 'MISSED', 'MISSED', ''],
+        ['N', 'GO NOW', 'GO NOW', 'A'],
+        ['6', 'GO NOW', 'GO NOW', 'A'],
+        ['6X', null, 'EXPRESS', 'A']
+    ]);
+    await get('/api/walk?minutes=0');
+});
+
+test('other boards are created on first use and fetched by refresh', async () => {
+    const first = await get('/api/boards/hallway/arrivals');
+    assert.deepEqual(first.body.data, []);
+    await solari.refresh();
+    const { body } = await get('/api/boards/hallway/arrivals');
+    assert.equal(body.data.length, 5);
+    assert.deepEqual((await get('/api/boards')).body.boards.map(b => b.id), ['default', 'hallway']);
+    assert.equal((await get('/api/boards/not%20valid/arrivals')).status, 404);
+});
+
+test('a station that isn\'t a stop id is refused before anything is fetched', async () => {
+    const requests = transiter.requests.length;
+    for (const station of ['../..', 'foo?x=', 'R20/stops']) {
+        const { status } = await get('/api/boards/hallway/station?station=' + encodeURIComponent(station));
+        assert.equal(status, 400);
+    }
+    assert.equal((await get('/api/station?station=..')).status, 400);
+    assert.equal(solari.boards.get('hallway').station, '635');
+    assert.equal(transiter.requests.length, requests);
+});
+
+test('a failed fetch keeps the last good data and flags it stale', async () => {
+    const board = solari.boards.get('hallway');
+    board.updatedAt = Date.now() - 10 * 60 * 1000;
+    board.station = '999';
+    assert.deepEqual(await solari.refresh(), [true, false]);
+    const { body } = await get('/api/boards/hallway/arrivals');
+    assert.equal(body.stale, true);
+    assert.ok(body.age >= 600);
+});
+
+test('start() polls every board and stop() ends it', async () => {
+    const board = solari.boards.get('default');
+    board.data = [];
+    const started = await solari.start(0);
+    assert.ok(started.address().port > 0);
+    assert.ok([...solari.boards.values()].every(b => b.timer !== null));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(board.data.length, 5);
+    solari.stop();
+    assert.ok([...solari.boards.values()].every(b => b.timer === null));
+});
+
+test('changes saved by GET routes need the admin token when there is one', async () => {
+    const secured = createApp({
+        SOLARI_CONFIG: path.join(dir, 'secured.json'),
+        SOLARI_HISTORY: 'off',
+        SOLARI_OUTPUT: 'off',
+        SOLARI_ADMIN_TOKEN: 'secret'
+    });
+    const listening = await new Promise(resolve => {
+        const s = secured.app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const url = `http://127.0.0.1:${listening.address().port}`;
+    const auth = { headers: { Authorization: 'Bearer secret' } };
+    try {
+        assert.equal((await fetch(url + '/api/walk?minutes=9')).status, 401);
+        assert.ok(!fs.existsSync(path.join(dir, 'secured.json')));
+        assert.deepEqual(await (await fetch(url + '/api/walk')).json(), { ok: true, walkMinutes: 0 });
+        assert.deepEqual(await (await fetch(url + '/api/walk?minutes=9', auth)).json(), { ok: true, walkMinutes: 9 });
+        assert.equal((await fetch(url + '/api/boards/kitchen/station?direction=S')).status, 401);
+        assert.equal((await (await fetch(url + '/api/boards/kitchen/station')).json()).direction, '');
+        assert.equal((await (await fetch(url + '/api/boards/kitchen/station?direction=S', auth)).json()).direction, 'S');
+        assert.equal((await fetch(url + '/api/station?station=R20')).status, 401);
+        assert.equal(secured.boards.get('default').station, '232');
+        // each app keeps its own clock
+        assert.ok(Math.abs((await (await fetch(url + '/api/arrivals')).json()).now - Date.now()) < 5000);
+        assert.ok((await get('/api/arrivals')).body.now < T0 * 1000 + 3600000);
+    } finally {
+        await new Promise(resolve => listening.close(resolve));
+    }
+});
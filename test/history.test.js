@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHistory } = require('../lib/history');
+
+const T = 1780000000;
+
+// An arrival record for trip `trip` leaving at `departure` (epoch seconds)
+const train = (trip, departure) => ({ trip_id: trip, route_id: '4', direction: 'N', stop_id: '635N', departure_time: departure });
+
+test('a train that drops off the board after its departure time has left', () => {
+    const history = createHistory();
+    assert.deepEqual(history.record('default', '635', [train('a', T + 10), train('b', T + 600)], T * 1000), []);
+    const departed = history.record('default', '635', [train('b', T + 600)], (T + 20) * 1000);
+    assert.deepEqual(departed.map(d => [d.trip, d.departed]), [['a', T + 10]]);
+});
+
+test('departures are only detected between fetches close enough together', () => {
+    const history = createHistory();
+    // polls five minutes apart, e.g. a long pollInterval or a fast clock
+    history.record('default', '635', [train('a', T + 10)], T * 1000, 900000);
+    assert.equal(history.record('default', '635', [], (T + 300) * 1000, 900000).length, 1);
+    history.record('default', '635', [train('b', T + 310)], (T + 300) * 1000, 60000);
+    assert.equal(history.record('default', '635', [], (T + 600) * 1000, 60000).length, 0);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const { createApp } = require('../lib/app');
+
+const HOLIDAYS = [
+    { folder: 'independence', month: 7, day: 4, message: 'Happy Independence Day!' },
+    { folder: 'thanksgiving', month: 11, weekday: 4, nth: 4, message: 'Happy Thanksgiving!' },
+    { folder: 'memorial', month: 5, weekday: 1, nth: -1, message: 'Memorial Day' },
+    { folder: 'leapday', month: 2, day: 29, message: 'Happy Leap Day!' },
+    { folder: 'fifthfriday', month: 10, weekday: 5, nth: 5, message: 'A fifth Friday!' },
+    { folder: 'newyears', month: 12, day: 31, days: 3, message: 'Happy New Year!' },
+    { folder: 'winter', month: 12, day: 20, days: 14, message: 'Happy Holidays!' },
+    { folder: 'christmas', month: 12, day: 25, message: 'Merry Christmas!', priority: 1 },
+    { folder: 'opening', month: 6, day: 1, year: 2026, message: 'Grand opening!' }
+];
+
+let dir;
+let solari;
+
+// The banner folder for a day (months 1-12)
+const folder = (year, month, day, hour = 12) => solari.getHolidayInfo(new Date(year, month - 1, day, hour)).folder;
+
+test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solari-test-'));
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({ holidays: HOLIDAYS }));
+    solari = createApp({ SOLARI_CONFIG: path.join(dir, 'config.json'), SOLARI_HISTORY: 'off', SOLARI_OUTPUT: 'off' });
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('an ordinary day gets the default banner', () => {
+    assert.deepEqual(solari.getHolidayInfo(new Date(2026, 2, 10)), { folder: 'default', message: 'Have a great day!' });
+});
+
+test('a fixed date lasts the whole day', () => {
+    assert.deepEqual(solari.getHolidayInfo(new Date(2026, 6, 4)), { folder: 'independence', message: 'Happy Independence Day!' });
+    assert.equal(folder(2026, 7, 4, 0), 'independence');
+    assert.equal(solari.getHolidayInfo(new Date(2026, 6, 4, 23, 59)).folder, 'independence');
+    assert.equal(folder(2026, 7, 5, 0), 'default');
+    assert.equal(folder(2026, 7, 3, 23), 'default');
+});
+
+test('the nth weekday of a month moves with the year', () => {
+    assert.equal(folder(2026, 11, 26), 'thanksgiving');
+    assert.equal(folder(2026, 11, 19), 'default');
+    assert.equal(folder(2027, 11, 25), 'thanksgiving');
+    assert.equal(folder(2027, 11, 26), 'default');
+});
+
+test('nth -1 is the last weekday of the month', () => {
+    assert.equal(folder(2026, 5, 25), 'memorial');
+    assert.equal(folder(2026, 5, 31), 'default');
+    // in 2027 the month ends on a Monday
+    assert.equal(folder(2027, 5, 31), 'memorial');
+    assert.equal(folder(2027, 5, 24), 'default');
+});
+
+test('dates a month doesn\'t have that year are skipped, not rolled over', () => {
+    assert.equal(folder(2028, 2, 29), 'leapday');
+    assert.equal(folder(2027, 3, 1), 'default');
+    assert.equal(folder(2026, 10, 30), 'fifthfriday');
+    // October 2028 only has four Fridays
+    assert.equal(folder(2028, 10, 27), 'default');
+    assert.equal(folder(2028, 11, 3), 'default');
+});
+
+test('an event of several days runs over New Year', () => {
+    assert.equal(folder(2026, 12, 31), 'newyears');
+    assert.equal(folder(2027, 1, 1), 'newyears');
+    assert.equal(folder(2027, 1, 2), 'newyears');
+    assert.equal(folder(2027, 1, 3), 'default');
+});
+
+test('the highest priority wins, then the one listed first', () => {
+    assert.equal(folder(2026, 12, 22), 'winter');
+    assert.equal(folder(2026, 12, 25), 'christmas');
+    assert.equal(folder(2026, 12, 26), 'winter');
+    // newyears and winter are both on, at the same priority
+    assert.equal(folder(2026, 12, 31), 'newyears');
+});
+
+test('a one-off is only in its year', () => {
+    assert.equal(folder(2026, 6, 1), 'opening');
+    assert.equal(folder(2027, 6, 1), 'default');
+});
+
+test('a changed holiday list takes effect straight away', () => {
+    assert.deepEqual(solari.updateConfig({ holidays: [] }).errors, undefined);
+    assert.equal(folder(2026, 12, 25), 'default');
+    assert.deepEqual(solari.updateConfig({ holidays: [{ folder: 'x', month: 13, day: 1, message: '' }] }).errors, ['holidays[0].month must be 1-12']);
+    solari.updateConfig({ holidays: HOLIDAYS });
+    assert.equal(folder(2026, 12, 25), 'christmas');
+});
+
+test('/holiday-info previews a day, and rejects dates that don\'t exist', async () => {
+    const server = await new Promise(resolve => {
+        const s = solari.app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    const get = async date => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/holiday-info?date=${date}`);
+        return { status: res.status, body: await res.json() };
+    };
+    try {
+        // there is no thanksgiving folder of GIFs, but the message still shows
+        assert.deepEqual((await get('2026-11-26')).body, { message: 'Happy Thanksgiving!', gifs: [], isHoliday: true });
+        assert.equal((await get('2026-13-01')).status, 400);
+        assert.equal((await get('2026-02-30')).status, 400);
+        assert.equal((await get('2026-11-26x')).status, 400);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
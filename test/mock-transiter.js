@@ -0,0 +1,41 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// A stand-in Transiter for the tests, serving the JSON in
+// fixtures/transiter: GET /systems/<system>/stops/635 answers with
+// stops-635.json, /transfers with transfers.json, /routes with routes.json
+// and so on; anything without a fixture is a 404. Fixture times are epoch
+// seconds around T0, so tests set the clock there.
+const FIXTURES = path.join(__dirname, 'fixtures', 'transiter');
+const T0 = 1780000000;
+
+// Listens on a free port; resolves to { port, requests, close() }, with the
+// endpoints asked for in `requests`
+function startMockTransiter(dir = FIXTURES) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const m = /^\/systems\/[^/]+\/(.+)$/.exec(req.url.split('?')[0]);
+        const endpoint = m ? m[1] : '';
+        requests.push(endpoint);
+        const notFound = () => {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'not found' }));
+        };
+        if (!/^[a-z0-9/_-]+$/i.test(endpoint)) return notFound();
+        fs.readFile(path.join(dir, endpoint.replace(/\//g, '-') + '.json'), (err, body) => {
+            if (err) return notFound();
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(body);
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.address().port,
+            requests,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+module.exports = { FIXTURES, T0, startMockTransiter };
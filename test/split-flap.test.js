@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// split-flap.js is a browser script on a global `sf`, so it is run in a
+// context of its own with just enough of jQuery, Backbone and the page for
+// sf.display.change(). The page is hidden, which makes sf.flap.run() move
+// cells straight to their last step instead of animating.
+const JS = path.join(__dirname, '..', 'public', 'js');
+
+function loadBoard() {
+    const $ = () => ({ length: 0, appendTo() { return this; }, text() {} });
+    $.data = () => undefined;
+    const context = vm.createContext({
+        console,
+        $,
+        Backbone: { View: { extend: () => function() {} }, Collection: { extend: () => function() {} } },
+        document: { hidden: true, addEventListener() {} }
+    });
+    for (const file of ['split-flap.js', 'themes.js', 'messages.js']) {
+        vm.runInContext(fs.readFileSync(path.join(JS, file), 'utf8'), context, { filename: file });
+    }
+    const sf = context.sf;
+    sf.themes.apply('yellow');
+    // images come from plugins, which set their drum like this
+    vm.runInContext("sf.display.ImageDrum = function() { return [' ', 'A', 'B', 'C']; };", context);
+    // note the classes each cell is flipped through
+    const flips = [];
+    const run = sf.flap.run;
+    sf.flap.run = (container, steps, isChar) => {
+        if (steps.length) flips.push(Array.from(steps));
+        run(container, steps, isChar);
+    };
+    return { sf, flips };
+}
+
+// A display cell: a <span> with its drum stored as 'order', like
+// sf.display.initRow() makes
+function cell(drum) {
+    const span = { className: 'csp' };
+    const data = { order: drum };
+    return {
+        0: span,
+        length: 1,
+        data(key, value) {
+            if (value === undefined) return data[key];
+            data[key] = value;
+            return this;
+        }
+    };
+}
+
+test('a cell flips through the drum in order to the new character', () => {
+    const { sf, flips } = loadBoard();
+    const c = cell(new sf.display.CharDrum());
+    sf.display.change(c, 'C', true);
+    assert.deepEqual(flips, [['cA', 'cB', 'cC']]);
+    assert.equal(c[0].className, 'cC');
+    // the drum now starts at the character showing
+    assert.deepEqual(Array.from(c.data('order').slice(0, 3)), ['C', 'D', 'E']);
+});
+
+test('the drum wraps round to get back to earlier characters', () => {
+    const { sf, flips } = loadBoard();
+    const c = cell(new sf.display.CharDrum());
+    sf.display.change(c, 'Y', true);
+    sf.display.change(c, 'B', true);
+    // Z . , blank A B
+    assert.deepEqual(flips[1], ['cZ', 'cu2e', 'cu2c', 'csp', 'cA', 'cB']);
+    assert.equal(c[0].className, 'cB');
+    assert.equal(c.data('order').length, new sf.display.CharDrum().length);
+});
+
+test('the same character again doesn\'t flip', () => {
+    const { sf, flips } = loadBoard();
+    const c = cell(new sf.display.CharDrum());
+    sf.display.change(c, 'Q', true);
+    sf.display.change(c, 'Q', true);
+    assert.equal(flips.length, 1);
+    assert.equal(c[0].className, 'cQ');
+});
+
+test('accented letters fall back to the plain letter, unknown ones to blank', () => {
+    const { sf, flips } = loadBoard();
+    const c = cell(new sf.display.CharDrum());
+    sf.display.change(c, 'É', true);
+    assert.equal(c[0].className, 'cE');
+    sf.display.change(c, '%', true);
+    assert.equal(c[0].className, 'csp');
+    assert.equal(c.data('order')[0], ' ');
+    assert.equal(flips[1].length, new sf.display.CharDrum().length - 5);
+});
+
+test('number cells only carry digits and a few marks', () => {
+    const { sf } = loadBoard();
+    assert.deepEqual(Array.from(new sf.display.NumDrum()), [' ', '0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '.', ',']);
+    const c = cell(new sf.display.NumDrum());
+    sf.display.change(c, '7', true);
+    assert.equal(c[0].className, 'c7');
+    sf.display.change(c, 'A', true);
+    assert.equal(c[0].className, 'csp');
+});
+
+test('image cells use the image names as classes', () => {
+    const { sf, flips } = loadBoard();
+    const c = cell(new sf.display.ImageDrum());
+    sf.display.change(c, 'B', false);
+    assert.deepEqual(flips, [['A', 'B']]);
+    sf.display.change(c, ' ', false);
+    assert.deepEqual(flips[1], ['C', 'csp']);
+});
+
+test('sprite cells start on the blank frame, not the transition frame', () => {
+    const { sf } = loadBoard();
+    const css = sf.themes.css(sf.themes.registry.yellow);
+    assert.match(css, /\.splitflap \.full span, [^{]*\{ background-position: -25px 0; \}/);
+    assert.match(css, /\.splitflap \.full \.csp, [^{]*\{ background-position: -25px 0; \}/);
+});
+
+test('messages wrap through groups of different widths like the alert row', () => {
+    const { sf } = loadBoard();
+    assert.deepEqual(Array.from(sf.messages.fit('happy  birthday to the whole family', [8, 12, 12])),
+        ['happy', 'birthday to', 'the whole']);
+    // a word too long for a group is broken across groups
+    assert.deepEqual(Array.from(sf.messages.fit('supercalifragilistic is long', [6, 6, 6, 6, 6])),
+        ['superc', 'alifra', 'gilist', 'ic is', 'long']);
+    assert.deepEqual(Array.from(sf.display.wrap('supercalifragilistic is long', 6)), ['superc', 'alifra', 'gilist', 'ic is', 'long']);
+    assert.deepEqual(Array.from(sf.messages.fit('', [5, 5])), ['', '']);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    classify_effect,
+    service_status_from_alerts,
+    make_arrival,
+    sort_arrivals,
+    refresh_arrivals,
+    leave_status,
+    trip_remark
+} = require('../lib/transit');
+
+const NOW = 1780000000;
+const stop = { route_id: '4', current_stop: '14 St-Union Sq', last_stop_name: 'Woodlawn', stop_id: '635N' };
+
+test('make_arrival counts whole minutes to the departure', () => {
+    const arrival = make_arrival(stop, NOW + 130, NOW);
+    assert.equal(arrival.arrival_time, 2);
+    assert.equal(arrival.departure_time, NOW + 130);
+    assert.equal(arrival.direction, 'N');
+    assert.equal(arrival.trip_id, null);
+    assert.equal(arrival.delay, null);
+    assert.equal(arrival.express, false);
+});
+
+test('make_arrival gives trains leaving this minute the string 0 and drops departed ones', () => {
+    assert.equal(make_arrival(stop, NOW + 59, NOW).arrival_time, '0');
+    assert.equal(make_arrival(stop, NOW - 1, NOW), null);
+});
+
+test('make_arrival keeps trip details and works out expresses from the route', () => {
+    const arrival = make_arrival(Object.assign({}, stop, { route_id: '6X', trip_id: 'T1', delay: 240, track: '3' }), NOW + 600, NOW);
+    assert.equal(arrival.trip_id, 'T1');
+    assert.equal(arrival.delay, 240);
+    assert.equal(arrival.track, '3');
+    assert.equal(arrival.express, true);
+    assert.equal(make_arrival(Object.assign({}, stop, { delay: NaN, express: 1 }), NOW + 600, NOW).delay, null);
+    assert.equal(make_arrival(Object.assign({}, stop, { express: 1 }), NOW + 600, NOW).express, true);
+});
+
+test('classify_effect maps alert effects to board statuses', () => {
+    assert.deepEqual(classify_effect('NO_SERVICE'), { status: 'NO SERVICE', severity: 4 });
+    assert.deepEqual(classify_effect('significant_delays'), { status: 'DELAYS', severity: 3 });
+    assert.equal(classify_effect('DETOUR').status, 'SERVICE CHANGE');
+    assert.equal(classify_effect('ACCESSIBILITY_ISSUE').status, 'Good Service');
+    // anything unknown is treated as some change to the service
+    assert.deepEqual(classify_effect('SOMETHING_NEW'), classify_effect('UNKNOWN_EFFECT'));
+    assert.deepEqual(classify_effect(undefined), classify_effect('UNKNOWN_EFFECT'));
+});
+
+test('service_status_from_alerts picks the worst active alert for each route', () => {
+    const alert = (routes, effect, active = true) => Object.assign({ routes, active }, classify_effect(effect));
+    const status = service_status_from_alerts(['4', '5', '6', 'L'], [
+        alert(['4', '5'], 'MODIFIED_SERVICE'),
+        alert(['4'], 'SIGNIFICANT_DELAYS'),
+        alert(['5'], 'OTHER_EFFECT'),
+        alert(['6'], 'NO_SERVICE', false)
+    ]);
+    assert.deepEqual(status['4'], { status: 'DELAYS', severity: 3 });
+    assert.deepEqual(status['5'], { status: 'SERVICE CHANGE', severity: 2 });
+    assert.deepEqual(status['6'], { status: 'Good Service', severity: 0 });
+    assert.deepEqual(status.L, { status: 'Good Service', severity: 0 });
+});
+
+test('sort_arrivals puts trains leaving now first', () => {
+    const entries = [
+        make_arrival(stop, NOW + 400, NOW),
+        make_arrival(stop, NOW + 20, NOW),
+        { route_id: 'X', arrival_time: 1 },
+        make_arrival(stop, NOW + 130, NOW)
+    ];
+    assert.deepEqual(sort_arrivals(entries).map(e => e.arrival_time), ['0', 2, 6, 1]);
+});
+
+test('refresh_arrivals recounts and drops departed trains', () => {
+    const entries = [make_arrival(stop, NOW + 100, NOW), make_arrival(stop, NOW + 400, NOW)];
+    assert.deepEqual(refresh_arrivals(entries, NOW + 90).map(e => e.arrival_time), ['0', 5]);
+    assert.deepEqual(refresh_arrivals(entries, NOW + 120).map(e => e.arrival_time), [4]);
+    // the records themselves are left alone
+    assert.equal(entries[0].arrival_time, 1);
+});
+
+test('leave_status advises when to leave for the station', () => {
+    assert.equal(leave_status(10, 0), null);
+    assert.equal(leave_status(12, 5), null);
+    assert.equal(leave_status(7, 5), null);
+    assert.equal(leave_status(6, 5), 'GO NOW');
+    assert.equal(leave_status(5, 5), 'GO NOW');
+    assert.equal(leave_status(4, 5), 'RUN');
+    assert.equal(leave_status(3, 5), 'RUN');
+    assert.equal(leave_status(2, 5), 'MISSED');
+    assert.equal(leave_status('0', 5), 'MISSED');
+});
+
+test('trip_remark shows late trains, then expresses', () => {
+    assert.equal(trip_remark({ delay: 240, express: true }), 'LATE 4');
+    assert.equal(trip_remark({ delay: 90 }), 'LATE 2');
+    assert.equal(trip_remark({ delay: 60, express: true }), 'EXPRESS');
+    assert.equal(trip_remark({ delay: null, express: false }), null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTransiterAdapter } = require('../lib/adapters/transiter');
+const { createClock } = require('../lib/clock');
+const { T0, startMockTransiter } = require('./mock-transiter');
+
+let transiter;
+let adapter;
+
+test.before(async () => {
+    transiter = await startMockTransiter();
+    adapter = createTransiterAdapter({ host: '127.0.0.1', port: transiter.port, clock: createClock({ start: T0 * 1000 }) });
+});
+
+test.after(() => transiter.close());
+
+test('fetchArrivals parses the station and its transfers', async () => {
+    const arrivals = await adapter.fetchArrivals('635');
+    assert.deepEqual(arrivals.map(a => a.trip_id), ['6-S-1', '4-N-1', '6X-N-1', '5-S-1', 'N-S-1']);
+    const four = arrivals.find(a => a.trip_id === '4-N-1');
+    assert.deepEqual(four, {
+        route_id: '4',
+        arrival_time: 2,
+        departure_time: T0 + 130,
+        current_stop: '14 St-Union Sq',
+        last_stop_name: 'Woodlawn',
+        stop_id: '635N',
+        direction: 'N',
+        trip_id: '4-N-1',
+        delay: 240,
+        track: '3',
+        express: false
+    });
+    assert.equal(arrivals.find(a => a.trip_id === '5-S-1').arrival_time, '0');
+    assert.equal(arrivals.find(a => a.trip_id === '6X-N-1').express, true);
+    assert.equal(arrivals.find(a => a.trip_id === 'N-S-1').stop_id, 'R20S');
+});
+
+test('fetchArrivals leaves out departed trains and arrivals with no departure', async () => {
+    const trips = (await adapter.fetchArrivals('635')).map(a => a.trip_id);
+    assert.ok(!trips.includes('4-S-0'));
+    assert.ok(!trips.includes('5-N-9'));
+});
+
+test('fetchArrivals throws when the stop can\'t be fetched', async () => {
+    await assert.rejects(adapter.fetchArrivals('999'), /HTTP 404/);
+});
+
+test('fetchAlerts joins alerts to routes and classifies them', async () => {
+    const alerts = await adapter.fetchAlerts();
+    assert.deepEqual(alerts.map(a => [a.id, a.routes, a.status, a.active]), [
+        ['old-6', ['6'], 'NO SERVICE', false],
+        ['delays-5', ['5'], 'DELAYS', true],
+        ['work-4', ['4'], 'SERVICE CHANGE', true]
+    ]);
+    assert.equal(alerts[2].header, 'Uptown 4 trains run local');
+    assert.deepEqual(alerts[2].active_periods, [{ start: 1779990000, end: 1780020000 }]);
+});